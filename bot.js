@@ -2,40 +2,57 @@
  * 🌟 Competitii Bot (grammY + MongoDB + OpenAI)
  * - Auto restart on crash
  * - HTML formatting in messages
- * - Persistent sessions via FileAdapter
+ * - Sessions and user settings stored in MongoDB
  * - Referral + Leaderboard + AI replies
  */
 
 import "dotenv/config";
-import { Bot, InlineKeyboard, session } from "grammy";
+import { Bot, InlineKeyboard, InputFile, session, webhookCallback } from "grammy";
 import { autoRetry } from "@grammyjs/auto-retry";
-import { FileAdapter } from "@grammyjs/storage-file";
 import OpenAI from "openai";
 import mongoose from "mongoose";
 import path from "path";
 import fs from "fs";
+import http from "http";
+import crypto from "crypto";
+import os from "os";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
 
 // =============== CONFIG ===============
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const ADMIN_ID = Number(process.env.ADMIN_ID || 0);
 const CHANNEL_USERNAME = process.env.CHANNEL_USERNAME || "@CompetitiiChannel";
+// Require a channel subscription to join and to win (bot must be a channel admin)
+const REQUIRE_CHANNEL_MEMBERSHIP = process.env.REQUIRE_CHANNEL_MEMBERSHIP !== "false";
+// Winners must tap "Claim prize" within this many hours or the prize is re-drawn
+const CLAIM_DEADLINE_HOURS = Number(process.env.CLAIM_DEADLINE_HOURS || 48);
+// More referrals than this from one referrer within the window are rejected as a burst
+const REFERRAL_BURST_LIMIT = Number(process.env.REFERRAL_BURST_LIMIT || 10);
+const REFERRAL_BURST_WINDOW_MIN = Number(process.env.REFERRAL_BURST_WINDOW_MIN || 60);
+// Webhook mode when WEBHOOK_URL is set (public HTTPS URL, its path is served
+// locally); otherwise long polling. The HTTP server on PORT runs in both modes
+// for /healthz and /readyz.
+const WEBHOOK_URL = process.env.WEBHOOK_URL || "";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const PORT = Number(process.env.PORT || 3000);
+// Private channel or group that gets a copy of every audit log entry (optional)
+const AUDIT_CHANNEL_ID = process.env.AUDIT_CHANNEL_ID || "";
+// Chat assistant backend: "openai" (needs OPENAI_API_KEY) or "stub" for local runs
+const AI_PROVIDER = process.env.AI_PROVIDER || "openai";
+const AI_MODEL = process.env.AI_MODEL || "gpt-4o-mini";
 
 // Support multiple admin IDs via ADMIN_IDS (comma separated) or single ADMIN_ID.
+// They are the owners; further admins are added with /addadmin (see ADMIN ROLES).
 const ADMIN_IDS = (process.env.ADMIN_IDS
   ? process.env.ADMIN_IDS.split(",").map((s) => Number(s.trim())).filter((n) => !isNaN(n))
   : ADMIN_ID && ADMIN_ID !== 0
     ? [ADMIN_ID]
     : []);
 
-function isAdmin(ctx) {
-  const id = ctx?.from?.id;
-  if (!id) return false;
-  if (ADMIN_IDS.length === 0) return false;
-  return ADMIN_IDS.includes(id);
-}
-
 if (ADMIN_IDS.length === 0) {
-  console.warn("⚠️ No ADMIN_ID or ADMIN_IDS set; admin-only commands will be disabled until configured.");
+  console.warn("⚠️ No ADMIN_ID or ADMIN_IDS set; only admins already stored in MongoDB can use admin commands.");
 }
 
 if (!BOT_TOKEN) {
@@ -43,6 +60,17 @@ if (!BOT_TOKEN) {
   process.exit(1);
 }
 
+if (!["openai", "stub"].includes(AI_PROVIDER)) {
+  console.error(`❌ Unknown AI_PROVIDER "${AI_PROVIDER}" (use openai or stub)`);
+  process.exit(1);
+}
+
+// Telegram sends it back in X-Telegram-Bot-Api-Secret-Token on every update
+if (WEBHOOK_URL && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.error("❌ WEBHOOK_SECRET (1-256 of A-Z, a-z, 0-9, _ and -) is required with WEBHOOK_URL");
+  process.exit(1);
+}
+
 // =============== DATABASE ===============
 const MONGO_URI = process.env.MONGO_URI;
 
@@ -82,6 +110,7 @@ connectDatabase();
 mongoose.connection.on('connected', () => {
   isDbConnected = true;
   console.log('✅ MongoDB connected successfully');
+  runMigrations();
 });
 
 mongoose.connection.on('error', (err) => {
@@ -105,8 +134,63 @@ const drawSchema = new mongoose.Schema(
   {
     id: String,
     title: String,
+    description: String,
+    banner: String, // photo file_id
+    // Prize per winner slot range, e.g. { from: 2, to: 5, name: "Gift card" }
+    prizes: [{ from: Number, to: Number, name: String }],
+    maxParticipants: Number, // unset = no limit
+    // Group giveaways (/giveaway): entries are limited to members of chatId,
+    // and the card at messageId shows a live count in the group's language
+    chatId: Number,
+    messageId: Number,
+    lang: String,
     active: Boolean,
-    winners: [String],
+    winners: [Number], // user IDs in prize slot order
+    legacyWinners: [String], // display names stored before the user registry
+    // Provably fair draw data (commit-reveal)
+    seedHash: String,
+    seed: { type: String, select: false },
+    committedAt: Date,
+    participantsHash: String,
+    participantCount: Number,
+    winnerCount: Number,
+    excludedIds: [Number], // can't win: unsubscribed, disqualified, expired or rerolled
+    bannedIds: [Number], // removed by an admin and can't rejoin
+    drawnAt: Date,
+    // One claim per winner slot holder; replaced winners keep theirs for history
+    claims: [
+      {
+        userId: Number,
+        prize: String, // from the prize tier of the slot they won
+        status: String, // pending | claimed | expired | rerolled | disqualified
+        deadline: Date,
+        claimedAt: Date,
+      },
+    ],
+    announcementId: Number, // results message in the channel, edited as winners change
+    // Scheduling: a scheduled draw stays hidden until its "open" job runs
+    scheduled: Boolean,
+    startsAt: Date,
+    endsAt: Date,
+    closedAt: Date,
+    remindedAt: Date, // closing reminder queued (see queueClosingReminders)
+    closedParticipantCount: Number, // entries when the draw closed, for disputes
+    // Referral bonus: extra tickets per referral made during the draw window
+    bonusPerReferral: { type: Number, default: 0 },
+    bonusCap: Number, // max bonus tickets per user; unset = no cap
+    // Paid tickets: price in Telegram Stars (unset = not for sale) and per-user cap
+    ticketPrice: Number,
+    maxPaidTickets: Number,
+    cancelledAt: Date, // cancelled before the draw; paid tickets were refunded
+    // Eligibility rules checked on join (see ELIGIBILITY_RULES)
+    rules: {
+      minReferrals: { type: Number, default: 0 }, // validated referrals, all time
+      channels: [String], // extra channels to be subscribed to
+      allowIds: [Number], // when set, only these users can join
+      denyIds: [Number],
+      language: String, // Telegram language code, e.g. "ro"
+      noWinInLast: { type: Number, default: 0 }, // didn't win any of the last N draws
+    },
   },
   { timestamps: true }
 );
@@ -115,14 +199,149 @@ const participantSchema = new mongoose.Schema(
   {
     drawId: String,
     userId: Number,
+    tickets: Number, // snapshot taken at draw time, used by /verify
   },
   { timestamps: true }
 );
+// Outbox replays may repeat a join; the index keeps it to one entry
+participantSchema.index({ drawId: 1, userId: 1 }, { unique: true });
 
 const referralSchema = new mongoose.Schema(
   {
     referrerId: Number,
     referredId: Number,
+    // pending until the referred user joins a draw; only "valid" ones count
+    status: { type: String, default: "pending" }, // pending | valid | invalid
+    reason: String, // why it was invalidated
+    validatedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Persistent scheduler jobs, so timers survive restarts
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    type: String, // "open" | "draw" | "claim"
+    drawId: String,
+    userId: Number, // claim jobs: the winner whose deadline this is
+    runAt: Date,
+    status: { type: String, default: "pending" }, // pending | running | done | failed | cancelled
+    startedAt: Date, // when an instance took the job; see JOB_STALE_MS
+    error: String,
+  },
+  { timestamps: true }
+);
+
+// One entry per admin command, for disputes (see the audit middleware)
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: Number,
+    command: String, // e.g. "draw", or "participants.ban" for button actions
+    args: String,
+    drawId: String, // affected draw, when there is one
+    outcome: String, // ok | rejected | denied | error
+    error: String,
+  },
+  { timestamps: true }
+);
+
+// Queued announcements to every known user, delivered by the broadcast worker
+const broadcastSchema = new mongoose.Schema(
+  {
+    kind: String, // "text" | "photo" | "draw", or "reminder" | "results" for participants
+    text: String, // HTML text, or the photo caption
+    entities: [mongoose.Schema.Types.Mixed], // photo caption formatting
+    photo: String, // file_id
+    drawId: String,
+    createdBy: Number,
+    status: { type: String, default: "queued" }, // queued | running | paused | done | cancelled
+    total: Number, // recipients when queued
+    cursor: { type: Number, default: 0 }, // last userId handled
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+    // The instance delivering it, until leaseUntil (see claimBroadcast)
+    owner: String,
+    leaseUntil: Date,
+  },
+  { timestamps: true }
+);
+
+// Ledger of tickets bought with Telegram Stars, one row per payment
+const ticketSchema = new mongoose.Schema(
+  {
+    drawId: String,
+    userId: Number,
+    quantity: Number,
+    stars: Number, // amount paid
+    chargeId: String, // telegram_payment_charge_id, needed for refunds
+    status: { type: String, default: "paid" }, // paid | refunded | refund_failed
+    refundedAt: Date,
+    error: String,
+  },
+  { timestamps: true }
+);
+
+// Admin-written answers, matched before a question goes to the AI (see FAQ)
+const faqSchema = new mongoose.Schema(
+  {
+    id: { type: Number, unique: true }, // short number for /faq edit|remove
+    translations: [{ lang: String, question: String, answer: String }],
+    createdBy: Number,
+    updatedBy: Number,
+  },
+  { timestamps: true }
+);
+
+// grammY session data, one document per chat (see SESSIONS)
+const sessionSchema = new mongoose.Schema(
+  {
+    key: { type: String, unique: true }, // chat ID
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+// Bot admins and their role (see ADMIN ROLES)
+const adminSchema = new mongoose.Schema(
+  {
+    userId: { type: Number, unique: true },
+    role: String, // viewer | operator | owner
+    addedBy: Number,
+  },
+  { timestamps: true }
+);
+
+// One-shot migrations that already ran (see runOnce)
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, unique: true },
+  doneAt: Date,
+});
+
+// Local user registry, upserted on every update (see rememberUser)
+const userSchema = new mongoose.Schema(
+  {
+    userId: { type: Number, unique: true },
+    username: String,
+    firstName: String,
+    lastName: String,
+    languageCode: String,
+    firstSeen: Date,
+    lastSeen: Date,
+    blockedAt: Date, // set when a message fails with 403, cleared on the next update
+    // Per-user settings, read by every instance (see USER SETTINGS)
+    settings: {
+      lang: String, // bot language for DMs, mirrored from the private chat's session
+      announcements: { type: Boolean, default: true }, // /settings: receive broadcasts
+      reminders: { type: Boolean, default: false }, // /settings: DM before a joined draw closes
+      results: { type: Boolean, default: false }, // /settings: DM the personal result after a draw
+    },
+    rateLimitHits: { type: Number, default: 0 }, // cooldowns triggered (see RATE LIMITS)
+    lastRateLimitedAt: Date,
+    bannedUntil: Date, // /tempban
+    banReason: String,
   },
   { timestamps: true }
 );
@@ -130,6 +349,15 @@ const referralSchema = new mongoose.Schema(
 const Draw = mongoose.model("Draw", drawSchema);
 const Participant = mongoose.model("Participant", participantSchema);
 const Referral = mongoose.model("Referral", referralSchema);
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+const User = mongoose.model("User", userSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+const Broadcast = mongoose.model("Broadcast", broadcastSchema);
+const Ticket = mongoose.model("Ticket", ticketSchema);
+const Faq = mongoose.model("Faq", faqSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const Migration = mongoose.model("Migration", migrationSchema);
+const Admin = mongoose.model("Admin", adminSchema);
 
 // =============== DATABASE HEALTH CHECK ===============
 async function checkDbHealth() {
@@ -139,6 +367,7 @@ async function checkDbHealth() {
   
   try {
     await mongoose.connection.db.admin().ping();
+    if (outbox.length > 0) replayOutbox();
     return true;
   } catch (error) {
     console.error('❌ Database health check failed:', error.message);
@@ -190,368 +419,3833 @@ const db = {
     safeDbOperation(() => model.findOneAndUpdate(query, update, { new: true }), fallback, `update on ${model.modelName}`)
 };
 
-// =============== LANG PACK ===============
-const LANG = {
-  en: {
-    welcome:
-      "🎉 <b>Welcome to Competitii!</b>\nJoin random giveaways and win prizes 🏆",
-    start_menu:
-      "Use the buttons below or type commands:\n<code>/join</code> / <code>/mytickets</code> / <code>/winners</code> / <code>/rules</code> / <code>/about</code>",
-    joined: "✅ You're in! Good luck 🍀",
-    already_joined: "⚠️ You already joined this draw!",
-    no_active: "😕 No active draw right now.",
-    rules:
-      "📜 <b>Rules</b>:\n1️⃣ One user = one entry\n2️⃣ Winners are random\n3️⃣ Admin decisions are final.",
-    about:
-      "🤖 <b>Competitii</b> — Fair • Transparent • Fun\nChannel: " +
-      CHANNEL_USERNAME,
-    new_draw_started: (t) => `✅ New draw started: <b>${t}</b>`,
-    closed_draw: (t) => `🚫 Entries closed for: <b>${t}</b>`,
-    draw_results: (t, list) =>
-      `🎰 <b>Draw Results - ${t}</b>\n\n🏆 Winners:\n${list.join("\n")}`,
-    admin_only: "❌ Admin only command.",
-    winners_none: "😕 No past winners yet.",
-    mytickets: "🎟️ You are registered in",
-    ref_link: (u, id) =>
-      `👥 Invite friends: https://t.me/${u}?start=ref_${id}`,
-    new_referral: (n) => `🎉 New referral: ${n}`,
-    no_referrals: (u, id) =>
-      `😕 You have no referrals yet.\nShare your link:\nhttps://t.me/${u}?start=ref_${id}`,
-    referral_list: (c, list, u, id) =>
-      `👥 You have ${c} referrals:\n${list}\n\nShare your link:\nhttps://t.me/${u}?start=ref_${id}`,
-    leaderboard_title: "🏆 <b>Top Referrers</b>",
-    leaderboard_entry: (r, n, c) => `${r}. ${n} — ${c} invites`,
-    leaderboard_empty: "😕 No one invited anyone yet.",
-    draw_no_part: "😕 No participants in this draw.",
-  },
-  ro: {
-    welcome:
-      "🎉 <b>Bine ai venit la Competitii!</b>\nParticipă la tombole și câștigă premii 🏆",
-    start_menu:
-      "Folosește butoanele de mai jos sau tastează comenzi:\n<code>/join</code> / <code>/mytickets</code> / <code>/winners</code> / <code>/rules</code> / <code>/about</code>",
-    joined: "✅ Ești înscris! Mult succes 🍀",
-    already_joined: "⚠️ Ești deja înscris la această tombolă!",
-    no_active: "😕 Nu este nicio tombolă activă acum.",
-    rules:
-      "📜 <b>Reguli</b>:\n1️⃣ Un utilizator = o înscriere\n2️⃣ Câștigătorii sunt aleși aleatoriu\n3️⃣ Deciziile adminilor sunt finale.",
-    about:
-      "🤖 <b>Competitii</b> — Corect • Transparent • Distractiv\nCanal: " +
-      CHANNEL_USERNAME,
-    new_draw_started: (t) => `✅ A început o nouă tombolă: <b>${t}</b>`,
-    closed_draw: (t) => `🚫 Înscrierile s-au încheiat pentru: <b>${t}</b>`,
-    draw_results: (t, list) =>
-      `🎰 <b>Rezultatele tombolei - ${t}</b>\n\n🏆 Câștigători:\n${list.join(
-        "\n"
-      )}`,
-  },
-};
+// =============== OUTBOX ===============
+// Critical writes (joins, referrals, draw results) that fail while MongoDB is
+// unreachable are appended to a local file and replayed in order once a health
+// check succeeds. Replays re-run the original action, so they must be safe to
+// run twice: a write may have landed before its error was reported.
+const OUTBOX_FILE = path.resolve("./data/outbox.json");
+const OUTBOX_MAX_ATTEMPTS = 5;
+let outbox = loadOutbox();
+let outboxApi = null;
+let outboxReplaying = false;
 
-// =============== INLINE KEYBOARD ===============
-function mainKeyboard(lang) {
-  return new InlineKeyboard()
-    .text(lang === "ro" ? "🎟️ Înscrie-te" : "🎟️ Join", "join")
-    .row()
-    .text(lang === "ro" ? "🏆 Câștigători" : "🏆 View Winners", "view_winners")
-    .row()
-    .text(lang === "ro" ? "🌐 Schimbă limba" : "🌐 Switch Language", "switch_lang");
+function loadOutbox() {
+  try {
+    return JSON.parse(fs.readFileSync(OUTBOX_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("❌ Could not read the outbox:", err.message);
+    return [];
+  }
 }
 
-// ======================================================
-// 🧠 INIT BOT LOGIC
-// ======================================================
-async function initBot() {
-  const bot = new Bot(BOT_TOKEN);
-
-  // Catch all errors
-  bot.catch((err) => console.error("Bot Error:", err));
+// Written to a temporary file and renamed, so a crash never leaves half a file
+function saveOutbox() {
+  fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+  fs.writeFileSync(`${OUTBOX_FILE}.tmp`, JSON.stringify(outbox));
+  fs.renameSync(`${OUTBOX_FILE}.tmp`, OUTBOX_FILE);
+}
 
-  // Delete webhook to allow polling
+// Returns false when even the local file can't be written
+function enqueueOutbox(entry) {
+  const item = { ...entry, id: crypto.randomUUID(), queuedAt: new Date().toISOString(), attempts: 0 };
+  outbox.push(item);
   try {
-    await bot.api.deleteWebhook({ drop_pending_updates: true });
-    console.log("✅ Webhook cleared");
-  } catch (e) {
-    console.warn("⚠️ Could not clear webhook:", e.message);
+    saveOutbox();
+  } catch (err) {
+    outbox = outbox.filter((e) => e !== item);
+    console.error(`❌ Could not queue ${entry.type} write:`, err.message);
+    return false;
   }
+  console.warn(`📥 Queued ${entry.type} write until MongoDB is back (${outbox.length} waiting)`);
+  return true;
+}
 
-  bot.api.config.use(autoRetry());
+function isQueued(type, match) {
+  return outbox.some((e) => e.type === type && Object.entries(match).every(([k, v]) => e[k] === v));
+}
 
-  const DATA_DIR = path.resolve("./data");
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const OUTBOX_HANDLERS = {
+  // Runs the whole join again (the draw may have closed or filled meanwhile)
+  // and tells the user how it went. "pending" means MongoDB failed again: the
+  // entry being replayed already covers the join, so it has to stay queued.
+  join: {
+    async replay(api, { drawId, userId }) {
+      const result = await joinDraw(api, drawId, userId);
+      if (result.status === "pending") throw new Error("MongoDB is unavailable again");
+      await notifyQueuedJoin(api, drawId, userId, joinResultText(await userLang(userId), result));
+    },
+    async giveUp(api, { drawId, userId }) {
+      await notifyQueuedJoin(api, drawId, userId, t(await userLang(userId), "join_failed"));
+    },
+  },
+  referral: {
+    replay: (api, { referrerId, user, startedAt, queuedAt }) =>
+      registerReferral(api, referrerId, user, new Date(startedAt ?? queuedAt)),
+  },
+  // Winners were picked but not stored: store them, then start claims and announce
+  draw_result: {
+    async replay(api, { drawId, fields }) {
+      const draw = await Draw.findOne({ id: drawId }).select("+seed");
+      if (!draw || draw.drawnAt) return;
+      draw.set(fields);
+      await draw.save();
+      await announceDrawResult(api, draw);
+    },
+  },
+};
 
-  bot.use(
-    session({
-      initial: () => ({ lang: "en" }),
-      storage: new FileAdapter({ path: path.join(DATA_DIR, "sessions.json") }),
-    })
-  );
+async function notifyQueuedJoin(api, drawId, userId, result) {
+  const draw = await Draw.findOne({ id: drawId });
+  const text = t(await userLang(userId), "join_replayed", { title: escapeHtml(draw?.title ?? drawId), result });
+  await api
+    .sendMessage(userId, text, { parse_mode: "HTML" })
+    .catch((err) => console.error(`⚠️ Could not tell ${userId} about their queued entry:`, err.message));
+}
 
-  // ================= USER COMMANDS =================
-  bot.command("start", async (ctx) => {
-    if (!ctx.session.lang) ctx.session.lang = "en";
-    const uid = ctx.from.id;
-    const args = ctx.message.text.split(" ");
-    const isReferral = args[1] && args[1].startsWith("ref_");
-    const refId = isReferral ? Number(args[1].replace("ref_", "")) : null;
+function startOutbox(api) {
+  outboxApi = api;
+  replayOutbox();
+}
+
+// Stops at the first failure and picks up again on the next healthy check;
+// an entry that keeps failing is dropped after OUTBOX_MAX_ATTEMPTS
+async function replayOutbox() {
+  if (outboxReplaying || !outboxApi || outbox.length === 0 || !isDbConnected) return;
+  outboxReplaying = true;
+  try {
+    // Entries queued again during this pass wait for the next one
+    for (const entry of [...outbox]) {
+      if (!isDbConnected) break;
+      const handler = OUTBOX_HANDLERS[entry.type];
+      try {
+        await handler.replay(outboxApi, entry);
+      } catch (err) {
+        entry.attempts += 1;
+        console.error(`❌ Replaying queued ${entry.type} write failed (${entry.attempts}):`, err.message);
+        if (entry.attempts < OUTBOX_MAX_ATTEMPTS) {
+          saveOutbox();
+          break;
+        }
+        await handler.giveUp?.(outboxApi, entry).catch(() => {});
+      }
+      outbox = outbox.filter((e) => e !== entry);
+      saveOutbox();
+    }
+  } catch (err) {
+    console.error("❌ Could not update the outbox:", err.message);
+  } finally {
+    outboxReplaying = false;
+  }
+}
+
+// =============== SESSIONS ===============
+// grammY sessions live in MongoDB so any instance can serve any chat. A failed
+// read yields a fresh session for that update, and its write is then skipped so
+// the stored session is never overwritten with the empty one.
+const unreadSessions = new Set();
+
+const sessionStorage = {
+  async read(key) {
+    try {
+      const doc = await Session.findOne({ key }).lean();
+      return doc?.value;
+    } catch (err) {
+      console.error(`❌ Failed to read session ${key}:`, err.message);
+      unreadSessions.add(key);
+      return undefined;
+    }
+  },
+  async write(key, value) {
+    if (unreadSessions.delete(key)) return;
+    try {
+      await Session.updateOne({ key }, { $set: { value } }, { upsert: true });
+    } catch (err) {
+      console.error(`❌ Failed to save session ${key}:`, err.message);
+    }
+  },
+  async delete(key) {
+    await Session.deleteOne({ key }).catch((err) => console.error(`❌ Failed to delete session ${key}:`, err.message));
+  },
+};
 
-    if (isReferral && refId && refId !== uid) {
-      const exists = await db.findOne(Referral, { referrerId: refId, referredId: uid });
-      if (!exists) {
-        await db.create(Referral, { referrerId: refId, referredId: uid });
+// Sessions used to be files, in FileAdapter's "<dir>/<last two chars>/<key>.json"
+// layout: under ./sessions (FileAdapter ignored the configured path) and, on
+// some installs, under ./data/sessions.json, which may also be one JSON object
+// of key -> session
+function readLegacySessions() {
+  const sessions = new Map();
+  const readDir = (dir) => {
+    for (const sub of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!sub.isDirectory()) continue;
+      for (const file of fs.readdirSync(path.join(dir, sub.name))) {
+        if (!file.endsWith(".json")) continue;
         try {
-          await ctx.api.sendMessage(
-            refId,
-            LANG.en.new_referral(ctx.from.first_name || ctx.from.username || uid)
-          );
+          sessions.set(path.basename(file, ".json"), JSON.parse(fs.readFileSync(path.join(dir, sub.name, file), "utf8")));
         } catch (err) {
-          console.error("Failed to send referral notification:", err);
+          console.error(`⚠️ Skipping unreadable session file ${file}:`, err.message);
         }
       }
     }
+  };
+  for (const location of [path.resolve("./sessions"), path.resolve("./data/sessions.json")]) {
+    if (!fs.existsSync(location)) continue;
+    if (fs.statSync(location).isDirectory()) readDir(location);
+    else {
+      try {
+        for (const [key, value] of Object.entries(JSON.parse(fs.readFileSync(location, "utf8")))) sessions.set(key, value);
+      } catch (err) {
+        console.error(`⚠️ Skipping unreadable ${location}:`, err.message);
+      }
+    }
+  }
+  return sessions;
+}
 
-    await ctx.reply(
-      `${LANG.en.welcome}\n\n${LANG.en.start_menu}\n\n${LANG.en.ref_link(
-        ctx.me.username,
-        uid
-      )}`,
-      { parse_mode: "HTML", reply_markup: mainKeyboard(ctx.session.lang) }
-    );
-  });
+// Sessions already in MongoDB win; a private chat's language also seeds the
+// user's settings. joinedDraws was never read and is dropped.
+async function importLegacySessions() {
+  const sessions = readLegacySessions();
+  for (const [key, { joinedDraws, ...value }] of sessions) {
+    await Session.updateOne({ key }, { $setOnInsert: { value } }, { upsert: true });
+    const userId = Number(key);
+    if (userId > 0 && SUPPORTED_LANGS.includes(value.lang)) {
+      await User.collection.updateOne(
+        { userId },
+        [{ $set: { "settings.lang": { $ifNull: ["$settings.lang", value.lang] } } }],
+        { upsert: true }
+      );
+    }
+  }
+  if (sessions.size > 0) console.log(`🔧 Imported ${sessions.size} file session(s) into MongoDB`);
+}
 
-  bot.callbackQuery("switch_lang", (ctx) => {
-    ctx.session.lang = ctx.session.lang === "en" ? "ro" : "en";
-    ctx.answerCallbackQuery({ text: "✅ Language switched" }).catch(() => {});
-    ctx.editMessageReplyMarkup(mainKeyboard(ctx.session.lang)).catch(() => {});
-  });
+// =============== MIGRATIONS ===============
+// Idempotent data fixes, run on every (re)connect.
+// Runs fn once per database; a failed run is retried on the next connect
+async function runOnce(name, fn) {
+  if (await Migration.exists({ name })) return;
+  await fn();
+  await Migration.create({ name, doneAt: new Date() });
+}
 
-  // Join command
-  bot.callbackQuery("join", async (ctx) => {
-    const uid = ctx.from.id;
-    const active = await db.findOne(Draw, { active: true });
-    if (!active)
-      return ctx.answerCallbackQuery({ text: LANG.en.no_active, show_alert: true });
+async function runMigrations() {
+  try {
+    // Draws from before the user registry stored display names as winners
+    const result = await Draw.collection.updateMany({ "winners.0": { $type: "string" } }, [
+      {
+        $set: {
+          legacyWinners: "$winners",
+          winners: { $ifNull: ["$winnerIds", []] },
+          drawnAt: { $ifNull: ["$drawnAt", "$updatedAt"] },
+        },
+      },
+      { $unset: "winnerIds" },
+    ]);
+    if (result.modifiedCount > 0)
+      console.log(`🔧 Migrated winners of ${result.modifiedCount} draw(s) to user IDs`);
 
-    const exists = await db.findOne(Participant, { drawId: active.id, userId: uid });
-    if (exists)
-      return ctx.answerCallbackQuery({
-        text: LANG.en.already_joined,
-        show_alert: true,
-      });
+    // Entries became unique per (drawId, userId); keep the first of any duplicates
+    // so the index can be built
+    const duplicates = await Participant.aggregate([
+      { $sort: { _id: 1 } },
+      { $group: { _id: { drawId: "$drawId", userId: "$userId" }, ids: { $push: "$_id" } } },
+      { $match: { "ids.1": { $exists: true } } },
+    ]);
+    const extra = duplicates.flatMap((d) => d.ids.slice(1));
+    if (extra.length > 0) {
+      await Participant.deleteMany({ _id: { $in: extra } });
+      console.log(`🔧 Removed ${extra.length} duplicate participant entries`);
+    }
+    await Participant.createIndexes();
 
-    await db.create(Participant, { drawId: active.id, userId: uid });
-    ctx.answerCallbackQuery({ text: LANG.en.joined });
-  });
+    // Broadcast opt-outs moved into the settings document
+    const moved = await User.collection.updateMany({ announcements: { $exists: true } }, [
+      { $set: { "settings.announcements": "$announcements" } },
+      { $unset: "announcements" },
+    ]);
+    if (moved.modifiedCount > 0)
+      console.log(`🔧 Moved the broadcast setting of ${moved.modifiedCount} user(s) into settings`);
 
-  bot.callbackQuery("view_winners", async (ctx) => {
-    const last = await db.findOne(Draw, { winners: { $exists: true, $ne: [] } });
-    if (!last)
-      return ctx.answerCallbackQuery({
-        text: LANG.en.winners_none,
-        show_alert: true,
-      });
-    ctx.reply(LANG.en.draw_results(last.title, last.winners), { parse_mode: "HTML" });
-  });
+    // Referrals from before validation have no status: the ones whose user
+    // already joined a draw count, the rest wait for a join like new ones
+    const unchecked = await Referral.collection.distinct("referredId", { status: { $exists: false } });
+    if (unchecked.length > 0) {
+      const joined = await Participant.distinct("userId", { userId: { $in: unchecked } });
+      await Referral.collection.updateMany({ status: { $exists: false }, referredId: { $in: joined } }, [
+        { $set: { status: "valid", validatedAt: "$createdAt" } },
+      ]);
+      await Referral.collection.updateMany({ status: { $exists: false } }, { $set: { status: "pending" } });
+      console.log(`🔧 Gave ${unchecked.length} older referral(s) a status`);
+    }
 
-  bot.command("join", async (ctx) => {
-    const uid = ctx.from.id;
-    const active = await db.findOne(Draw, { active: true });
-    if (!active) return ctx.reply(LANG.en.no_active);
-    const exists = await db.findOne(Participant, { drawId: active.id, userId: uid });
-    if (exists) return ctx.reply(LANG.en.already_joined);
-    await db.create(Participant, { drawId: active.id, userId: uid });
-    ctx.reply(LANG.en.joined);
-  });
+    await runOnce("import-file-sessions", importLegacySessions);
+  } catch (err) {
+    console.error("❌ Migration failed:", err.message);
+  }
+}
 
-  bot.command("mytickets", async (ctx) => {
-    const uid = ctx.from.id;
-    const active = await db.findOne(Draw, { active: true });
-    if (!active) return ctx.reply(LANG.en.no_active);
-    const exists = await db.findOne(Participant, { drawId: active.id, userId: uid });
-    if (exists)
-      ctx.reply(`${LANG.en.mytickets} <b>${active.title}</b>`, { parse_mode: "HTML" });
-    else ctx.reply(LANG.en.no_active);
-  });
+// =============== USER REGISTRY ===============
+// Every update upserts its sender, so lists render names without getChat calls.
+function rememberUser(from) {
+  if (!from || from.is_bot || !isDbConnected) return;
+  const now = new Date();
+  User.updateOne(
+    { userId: from.id },
+    {
+      $set: {
+        username: from.username ?? null,
+        firstName: from.first_name ?? null,
+        lastName: from.last_name ?? null,
+        languageCode: from.language_code ?? null,
+        lastSeen: now,
+        blockedAt: null,
+      },
+      $setOnInsert: { firstSeen: now },
+    },
+    { upsert: true }
+  ).catch((err) => console.error("❌ Failed to update user registry:", err.message));
+}
 
-  bot.command("winners", async (ctx) => {
-    const last = await db.findOne(Draw, { winners: { $exists: true, $ne: [] } });
-    if (!last) return ctx.reply(LANG.en.winners_none);
-    ctx.reply(LANG.en.draw_results(last.title, last.winners), { parse_mode: "HTML" });
-  });
+async function findUsers(userIds) {
+  const users = await db.find(User, { userId: { $in: [...new Set(userIds)] } }, []);
+  return new Map(users.map((u) => [u.userId, u]));
+}
 
-  bot.command("rules", (ctx) => ctx.reply(LANG.en.rules, { parse_mode: "HTML" }));
-  bot.command("about", (ctx) => ctx.reply(LANG.en.about, { parse_mode: "HTML" }));
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
 
-  // ================= REFERRALS =================
-  bot.command("referrals", async (ctx) => {
-    const uid = ctx.from.id;
-    const list = await db.find(Referral, { referrerId: uid }, []);
-    if (list.length === 0)
-      return ctx.reply(LANG.en.no_referrals(ctx.me.username, uid), { parse_mode: "HTML" });
-    
-    // Use HTML formatting for clickable links
-    const userList = list
-      .map((u, index) => `${index + 1}. <a href="tg://user?id=${u.referredId}">User ${u.referredId}</a>`)
-      .join("\n");
-    
-    ctx.reply(LANG.en.referral_list(list.length, userList, ctx.me.username, uid), {
-      parse_mode: "HTML",
-    });
-  });
+function fullName(user) {
+  return [user?.firstName, user?.lastName].filter(Boolean).join(" ");
+}
 
-  bot.command("leaderboard", async (ctx) => {
-    const leaders = await db.aggregate(Referral, [
-      { $group: { _id: "$referrerId", count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 10 },
-    ], []);
+// "@username", "First Last (id:123)" or the bare ID, HTML-escaped
+function userLabel(user, userId) {
+  if (user?.username) return `@${user.username}`;
+  const name = fullName(user);
+  return name ? `${escapeHtml(name)} (id:${userId})` : String(userId);
+}
 
-    if (leaders.length === 0) return ctx.reply(LANG.en.leaderboard_empty, { parse_mode: "HTML" });
+// =============== PROVABLY FAIR DRAWS ===============
+// Commit-reveal: /newdraw publishes sha256(seed); /draw reveals the seed and
+// derives winners from HMAC-SHA256(seed, "<participantsHash>:<round>:<attempt>")
+// over the participant IDs sorted ascending, weighted by their tickets.
+// /verify replays the same steps.
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
 
-    let msg = `${LANG.en.leaderboard_title}\n\n`;
-    for (let i = 0; i < leaders.length; i++) {
-      const entry = leaders[i];
-      let name = `User ${entry._id}`;
-      try {
-        const chat = await ctx.api.getChat(entry._id);
-        if (chat.username) name = "@" + chat.username;
-        else if (chat.first_name) name = chat.first_name;
-      } catch {}
-      msg += LANG.en.leaderboard_entry(i + 1, name, entry.count) + "\n";
-    }
-    ctx.reply(msg, { parse_mode: "HTML" });
-  });
+function newSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
 
-  // ================= ADMIN COMMANDS =================
-  bot.command("newdraw", async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-    const title = ctx.message.text.split(" ").slice(1).join(" ");
-    if (!title) return ctx.reply("Usage: /newdraw <title>");
-    const id = Date.now().toString();
-    await db.create(Draw, { id, title, active: true, winners: [] });
-    ctx.reply(LANG.en.new_draw_started(title), { parse_mode: "HTML" });
-  });
+// entries: [{ userId, tickets }]; one line per user, ":<tickets>" only when > 1
+function hashParticipants(entries) {
+  const sorted = entries
+    .map((e) => ({ userId: e.userId, tickets: e.tickets || 1 }))
+    .sort((a, b) => a.userId - b.userId);
+  const lines = sorted.map((e) => (e.tickets > 1 ? `${e.userId}:${e.tickets}` : String(e.userId)));
+  return { sorted, hash: sha256(lines.join("\n")) };
+}
 
-  bot.command("closedraw", async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-    const active = await db.findOne(Draw, { active: true });
-    if (!active) return ctx.reply("No active draw.");
-    active.active = false;
-    await active.save();
-    ctx.reply(LANG.en.closed_draw(active.title), { parse_mode: "HTML" });
-  });
+// Uniform index in [0, n), rejection sampling avoids modulo bias
+function fairIndex(seed, participantsHash, round, n) {
+  const limit = Math.floor(2 ** 48 / n) * n;
+  for (let attempt = 0; ; attempt++) {
+    const digest = crypto
+      .createHmac("sha256", seed)
+      .update(`${participantsHash}:${round}:${attempt}`)
+      .digest();
+    const value = digest.readUIntBE(0, 6);
+    if (value < limit) return value % n;
+  }
+}
 
-  bot.command("draw", async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-    const parts = ctx.message.text.split(" ");
-    const count = Number(parts[1]) || 1;
-    const target = await db.findOne(Draw, { active: false, winners: { $size: 0 } });
-    if (!target) return ctx.reply("No closed draw to pick winners from.");
-    const entries = await db.find(Participant, { drawId: target.id }, []);
-    if (entries.length === 0) return ctx.reply(LANG.en.draw_no_part, { parse_mode: "HTML" });
-    const shuffled = entries.sort(() => 0.5 - Math.random());
-    const winners = shuffled.slice(0, Math.min(count, entries.length));
-    const winnerMentions = [];
-
-    for (const w of winners) {
-      try {
-        const chat = await bot.api.getChat(w.userId);
-        if (chat.username) winnerMentions.push("@" + chat.username);
-        else if (chat.first_name)
-          winnerMentions.push(`${chat.first_name} (id:${w.userId})`);
-        else winnerMentions.push(String(w.userId));
-      } catch {
-        winnerMentions.push(String(w.userId));
-      }
-    }
+// Deterministic ordering of all participants. Round N draws a ticket among
+// those still in the pool, and its owner leaves the pool (one win per user).
+function* fairOrder(seed, sorted, participantsHash) {
+  const pool = [...sorted];
+  let totalTickets = pool.reduce((sum, e) => sum + e.tickets, 0);
+  for (let round = 0; pool.length > 0; round++) {
+    let ticket = fairIndex(seed, participantsHash, round, totalTickets);
+    let index = 0;
+    while (ticket >= pool[index].tickets) ticket -= pool[index++].tickets;
+    const [entry] = pool.splice(index, 1);
+    totalTickets -= entry.tickets;
+    yield entry.userId;
+  }
+}
 
-    target.winners = winnerMentions;
-    await target.save();
-    const msg = LANG.en.draw_results(target.title, target.winners);
-    ctx.reply(msg, { parse_mode: "HTML" });
+// Winners are the first `count` users in the fair order who were not excluded
+function pickWinners(seed, entries, count, excluded = []) {
+  const { sorted, hash } = hashParticipants(entries);
+  const skip = new Set(excluded);
+  const winners = [];
+  for (const userId of fairOrder(seed, sorted, hash)) {
+    if (winners.length >= count) break;
+    if (!skip.has(userId)) winners.push(userId);
+  }
+  return { participantsHash: hash, winners };
+}
 
-    try {
-      await bot.api.sendMessage(CHANNEL_USERNAME, `📢 ${msg}`, {
-        parse_mode: "HTML",
-      });
-    } catch {
-      console.log("⚠️ Could not post to channel.");
-    }
-  });
+// =============== LOCALIZATION ===============
+// Translations live in locales/<lang>.json; placeholders use {{name}}.
+// Missing keys fall back to DEFAULT_LANG (see `npm run check:locales`).
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "locales");
+const DEFAULT_LANG = "en";
 
+const LOCALES = Object.fromEntries(
+  fs
+    .readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => [
+      path.basename(file, ".json"),
+      JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8")),
+    ])
+);
+const SUPPORTED_LANGS = Object.keys(LOCALES);
 
-// Admin command helpers removed (already defined above)
+// Language used for channel posts, which have no session of their own
+const CHANNEL_LANG = SUPPORTED_LANGS.includes(process.env.CHANNEL_LANG)
+  ? process.env.CHANNEL_LANG
+  : DEFAULT_LANG;
 
-bot.command("stats", async (ctx) => {
-  if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-  const totalDraws = await db.count(Draw, {});
-  const totalParticipants = await db.count(Participant, {});
-  ctx.reply(`📊 Draws: ${totalDraws}\n👥 Participants: ${totalParticipants}`, { parse_mode: "HTML" });
-});
+function t(lang, key, vars = {}) {
+  const template = LOCALES[lang]?.[key] ?? LOCALES[DEFAULT_LANG][key];
+  if (template === undefined) {
+    console.warn(`⚠️ Missing translation key: ${key}`);
+    return key;
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+}
 
-// View participants for active draw
-bot.command("participants", async (ctx) => {
-  if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-  
-  const active = await db.findOne(Draw, { active: true });
-  if (!active) return ctx.reply("❌ No active draw found.");
+// Map Telegram's language_code (e.g. "ro", "en-GB") to a supported locale
+function detectLang(languageCode) {
+  const base = (languageCode || "").split("-")[0].toLowerCase();
+  return SUPPORTED_LANGS.includes(base) ? base : DEFAULT_LANG;
+}
 
-  const participants = await db.find(Participant, { drawId: active.id }, []);
-  
-  if (participants.length === 0) {
-    return ctx.reply(`❌ No participants have joined <b>${active.title}</b> yet.`, { parse_mode: "HTML" });
-  }
+// Language for messages sent outside an update (DMs, notifications)
+async function userLang(userId) {
+  const user = await safeDbOperation(
+    () => User.findOne({ userId }).select("settings.lang languageCode").lean(),
+    null,
+    "findOne on User"
+  );
+  return user?.settings?.lang ?? detectLang(user?.languageCode);
+}
+
+// Private chats keep the chosen language in the user's settings too
+function saveUserLang(ctx) {
+  if (ctx.chat?.type !== "private" || !isDbConnected) return;
+  User.updateOne({ userId: ctx.from.id }, { $set: { "settings.lang": ctx.session.lang } }, { upsert: true }).catch(
+    (err) => console.error("❌ Failed to save language setting:", err.message)
+  );
+}
 
-  let message = `👥 <b>Participants for "${active.title}"</b>\n\n`;
-  message += `📊 Total Participants: <b>${participants.length}</b>\n\n`;
+// =============== INLINE KEYBOARD ===============
+function mainKeyboard(lang) {
+  return new InlineKeyboard()
+    .text(t(lang, "button_join"), "join")
+    .row()
+    .text(t(lang, "button_winners"), "view_winners")
+    .row()
+    .text(t(lang, "button_switch_lang"), "switch_lang");
+}
 
-  // Show first 50 participants to avoid message length limits
-  const displayCount = Math.min(participants.length, 50);
-  
-  for (let i = 0; i < displayCount; i++) {
-    const participant = participants[i];
-    try {
-      const chat = await ctx.api.getChat(participant.userId);
-      if (chat.username) {
-        message += `${i + 1}. @${chat.username}\n`;
-      } else if (chat.first_name) {
-        message += `${i + 1}. ${chat.first_name} (ID: ${participant.userId})\n`;
-      } else {
-        message += `${i + 1}. User ${participant.userId}\n`;
-      }
-    } catch (error) {
-      message += `${i + 1}. User ${participant.userId} (cannot fetch info)\n`;
+// =============== CHANNEL MEMBERSHIP ===============
+const CHANNEL_URL = `https://t.me/${CHANNEL_USERNAME.replace(/^@/, "")}`;
+
+// Channels whose membership checks are failing; the admins hear about each once
+const failingMembershipChecks = new Set();
+
+// Returns true when the user can't be checked (e.g. the bot is not a channel
+// admin), so a misconfiguration never locks everyone out. The admins are told
+// the first time, since the subscription gate is off until it's fixed.
+async function isChannelMember(api, userId, channel = CHANNEL_USERNAME) {
+  if (channel === CHANNEL_USERNAME && !REQUIRE_CHANNEL_MEMBERSHIP) return true;
+  try {
+    const member = await api.getChatMember(channel, userId);
+    failingMembershipChecks.delete(channel);
+    if (member.status === "restricted") return member.is_member;
+    return ["creator", "administrator", "member"].includes(member.status);
+  } catch (err) {
+    console.error(`⚠️ Could not check ${channel} membership of ${userId}:`, err.message);
+    if (!failingMembershipChecks.has(channel)) {
+      failingMembershipChecks.add(channel);
+      await notifyAdmins(api, "membership_check_failed", {
+        channel: escapeHtml(channel),
+        error: escapeHtml(err.message),
+      });
     }
+    return true;
   }
+}
+
+function subscribeKeyboard(lang, drawId) {
+  return new InlineKeyboard()
+    .url(t(lang, "button_subscribe"), CHANNEL_URL)
+    .row()
+    .text(t(lang, "button_retry_join"), `join:${drawId}`);
+}
+
+// =============== REFERRALS ===============
+// A referral starts "pending" and becomes "valid" once the referred user joins
+// a draw. Referrals from unknown referrers, rings and bursts are "invalid".
+async function hasStartedBot(userId) {
+  return Boolean(await db.findOne(Session, { key: String(userId) }));
+}
 
-  if (participants.length > 50) {
-    message += `\n... and ${participants.length - 50} more participants.\n`;
-    message += `Use /export to get the complete list.`;
+// True when following "who referred whom" upwards from referrerId reaches userId
+async function isReferralRing(referrerId, userId) {
+  let current = referrerId;
+  for (let depth = 0; depth < 10; depth++) {
+    const parent = await db.findOne(Referral, { referredId: current, status: { $ne: "invalid" } });
+    if (!parent) return false;
+    if (parent.referrerId === userId) return true;
+    current = parent.referrerId;
   }
+  return false;
+}
 
-  await ctx.reply(message, { parse_mode: "HTML" });
-});
+async function referralCheck(referrerId) {
+  if (!(await hasStartedBot(referrerId))) return "unknown_referrer";
+  const since = new Date(Date.now() - REFERRAL_BURST_WINDOW_MIN * 60 * 1000);
+  const recent = await db.count(Referral, { referrerId, createdAt: { $gte: since } });
+  if (recent >= REFERRAL_BURST_LIMIT) return "burst";
+  return null;
+}
 
-// Quick participant count
-bot.command("count", async (ctx) => {
-  if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-  
-  const active = await db.findOne(Draw, { active: true });
-  if (!active) return ctx.reply("❌ No active draw found.");
+// New means the registry first saw the user with this /start (sent at
+// startedAt) and they never joined a draw. Sessions can't tell: imported ones
+// and ones created by buttons have no start time.
+async function isNewUser(userId, startedAt) {
+  const known = await db.findOne(User, { userId });
+  if (known && (!known.firstSeen || known.firstSeen < startedAt)) return false;
+  return !(await db.findOne(Participant, { userId }));
+}
 
-  const count = await db.count(Participant, { drawId: active.id });
+// Records a referral for a first-time user who sent /start at startedAt;
+// returns the created Referral or null
+async function registerReferral(api, referrerId, user, startedAt) {
+  if (!referrerId || referrerId === user.id) return null;
+  // Checked again when the queued referral is replayed
+  const queue = () => {
+    const { id, first_name, username } = user;
+    enqueueOutbox({
+      type: "referral",
+      referrerId,
+      user: { id, first_name, username },
+      startedAt: startedAt.toISOString(),
+    });
+    return null;
+  };
+  if (!(await checkDbHealth())) return queue();
+  if (await db.findOne(Referral, { referredId: user.id })) return null;
+  if (!(await isNewUser(user.id, startedAt))) return null;
+
+  const reason = (await isReferralRing(referrerId, user.id)) ? "ring" : await referralCheck(referrerId);
+  let referral;
+  try {
+    referral = await Referral.create({
+      referrerId,
+      referredId: user.id,
+      status: reason ? "invalid" : "pending",
+      reason,
+    });
+  } catch (err) {
+    console.error("❌ Failed to save referral:", err.message);
+    return queue();
+  }
+  if (reason) {
+    console.warn(`⚠️ Referral ${referrerId} -> ${user.id} rejected: ${reason}`);
+    return referral;
+  }
+
+  try {
+    await api.sendMessage(
+      referrerId,
+      t(await userLang(referrerId), "new_referral", {
+        name: user.first_name || user.username || user.id,
+      })
+    );
+  } catch (err) {
+    console.error("Failed to send referral notification:", err);
+  }
+  return referral;
+}
+
+// Called after a qualifying action (joining a draw) by the referred user
+async function qualifyReferral(api, userId) {
+  const referral = await db.update(
+    Referral,
+    { referredId: userId, status: "pending" },
+    { status: "valid", validatedAt: new Date() }
+  );
+  if (!referral) return;
+  try {
+    await api.sendMessage(
+      referral.referrerId,
+      t(await userLang(referral.referrerId), "referral_validated", { id: userId }),
+      { parse_mode: "HTML" }
+    );
+  } catch (err) {
+    console.error("Failed to send referral validation notification:", err.message);
+  }
+}
+
+// =============== DRAW HELPERS ===============
+// Several draws can be open at once, so everything here takes an explicit draw ID.
+const JOIN_RESULT_KEYS = {
+  joined: "joined",
+  already: "already_joined",
+  closed: "draw_not_open",
+  not_member: "join_not_member",
+  banned: "join_banned",
+  ineligible: "join_ineligible",
+  full: "join_full",
+  not_in_group: "join_not_in_group",
+  pending: "join_pending",
+  failed: "join_failed",
+};
+
+// Draws visible from a chat: a group sees its own giveaways, other chats the global draws
+function drawScope(ctx) {
+  return { chatId: ["group", "supergroup"].includes(ctx.chat?.type) ? ctx.chat.id : null };
+}
+
+// Where entrants must be members: the giveaway's group, or the channel
+function membershipChat(draw) {
+  return draw.chatId ?? CHANNEL_USERNAME;
+}
+
+// Queued when MongoDB is unreachable; "failed" only if the outbox can't be written
+function queueJoin(drawId, userId, draw) {
+  const queued = isQueued("join", { drawId, userId }) || enqueueOutbox({ type: "join", drawId, userId });
+  return { status: queued ? "pending" : "failed", draw };
+}
+
+async function joinDraw(api, drawId, userId) {
+  if (!(await checkDbHealth())) return queueJoin(drawId, userId);
+  const draw = await db.findOne(Draw, { id: drawId, active: true });
+  if (!draw) return { status: "closed" };
+  if (draw.bannedIds.includes(userId)) return { status: "banned", draw };
+  const exists = await db.findOne(Participant, { drawId, userId });
+  if (exists) return { status: "already", draw };
+  if (draw.maxParticipants && (await db.count(Participant, { drawId })) >= draw.maxParticipants)
+    return { status: "full", draw };
+  const rule = await failedRule(api, draw, userId);
+  if (rule) return { status: "ineligible", draw, rule };
+  if (!(await isChannelMember(api, userId, membershipChat(draw))))
+    return { status: draw.chatId ? "not_in_group" : "not_member", draw };
+  try {
+    await Participant.create({ drawId, userId });
+  } catch (err) {
+    if (err.code === 11000) return { status: "already", draw };
+    console.error("❌ Failed to save participant:", err.message);
+    return queueJoin(drawId, userId, draw);
+  }
+  await qualifyReferral(api, userId);
+  if (draw.chatId) refreshGiveawayCard(api, drawId);
+  return { status: "joined", draw };
+}
+
+// Answers a join attempt from a button or from /join
+function joinResultText(lang, { status, draw, rule }) {
+  return t(lang, JOIN_RESULT_KEYS[status], {
+    channel: CHANNEL_USERNAME,
+    rule: rule && describeRule(lang, draw, rule),
+  });
+}
+
+async function replyJoinResult(ctx, drawId, result) {
+  const { status } = result;
+  const text = joinResultText(ctx.session.lang, result);
+  if (ctx.callbackQuery) {
+    await ctx.answerCallbackQuery({ text, show_alert: status !== "joined" }).catch(() => {});
+    if (status !== "not_member") return;
+  }
+  if (status === "not_member") {
+    return ctx.reply(text, { reply_markup: subscribeKeyboard(ctx.session.lang, drawId) });
+  }
+  return ctx.reply(text);
+}
+
+function drawPickerKeyboard(draws, action = "join") {
+  const keyboard = new InlineKeyboard();
+  for (const draw of draws) keyboard.text(`🎟️ ${draw.title}`, `${action}:${draw.id}`).row();
+  return keyboard;
+}
+
+function drawStatusKey(draw) {
+  if (draw.active) return "draw_status_open";
+  if (draw.cancelledAt) return "draw_status_cancelled";
+  if (draw.drawnAt) return "draw_status_drawn";
+  return "draw_status_closed";
+}
+
+// Pick the draw an admin command targets: the given ID, or the only candidate.
+// Replies with the candidate list (or emptyKey) and returns null when ambiguous.
+async function resolveDraw(ctx, drawId, query, emptyKey, select = "") {
+  const filter = drawId ? { ...query, id: drawId } : query;
+  const candidates = await safeDbOperation(
+    () => Draw.find(filter).select(select).sort({ createdAt: -1 }),
+    [],
+    "find on Draw"
+  );
+
+  if (candidates.length === 1) {
+    if (ctx.audit) ctx.audit.drawId = candidates[0].id;
+    return candidates[0];
+  }
+  if (ctx.audit) ctx.audit.outcome = "rejected";
+  if (candidates.length === 0) {
+    await ctx.reply(drawId ? ctx.t("draw_not_found_id", { id: drawId }) : ctx.t(emptyKey), {
+      parse_mode: "HTML",
+    });
+    return null;
+  }
+
+  const list = candidates
+    .map((d) => ctx.t("draw_list_entry", { id: d.id, title: escapeHtml(d.title) }))
+    .join("\n");
+  await ctx.reply(ctx.t("draw_choose_admin", { list }), { parse_mode: "HTML" });
+  return null;
+}
+
+// =============== TICKETS ===============
+// Everyone gets one ticket per draw, plus bonusPerReferral for each valid
+// referral made during the draw window, capped at bonusCap bonus tickets,
+// plus any tickets bought with Stars (see PAID TICKETS).
+function referralWindow(draw) {
+  return { $gte: draw.startsAt || draw.createdAt, $lte: draw.closedAt || new Date() };
+}
+
+function bonusTickets(draw, referrals) {
+  const bonus = referrals * (draw.bonusPerReferral || 0);
+  return draw.bonusCap == null ? bonus : Math.min(bonus, draw.bonusCap);
+}
+
+async function ticketBreakdown(draw, userId) {
+  const paid = await paidTickets(draw.id, userId);
+  if (!draw.bonusPerReferral) return { referrals: 0, bonus: 0, paid, total: 1 + paid };
+  const referrals = await db.count(Referral, {
+    referrerId: userId,
+    status: "valid",
+    createdAt: referralWindow(draw),
+  });
+  const bonus = bonusTickets(draw, referrals);
+  return { referrals, bonus, paid, total: 1 + bonus + paid };
+}
+
+// Map of userId -> tickets for users with bonus tickets; everyone else has 1
+async function bonusTicketMap(draw) {
+  const counts = new Map();
+  if (!draw.bonusPerReferral) return counts;
+  const rows = await db.aggregate(Referral, [
+    { $match: { status: "valid", createdAt: referralWindow(draw) } },
+    { $group: { _id: "$referrerId", count: { $sum: 1 } } },
+  ], []);
+  for (const row of rows) counts.set(row._id, 1 + bonusTickets(draw, row.count));
+  return counts;
+}
+
+// Map of userId -> tickets for every participant of a draw
+async function ticketCounts(draw, userIds) {
+  const bonus = await bonusTicketMap(draw);
+  const paid = await paidTicketMap(draw);
+  return new Map(userIds.map((id) => [id, (bonus.get(id) || 1) + (paid.get(id) || 0)]));
+}
+
+// =============== PAID TICKETS ===============
+// Extra tickets bought with Telegram Stars (currency "XTR"). Every payment is
+// one ledger row, so a cancelled draw can refund each charge individually.
+const TICKET_PAYLOAD = /^tickets:(\d+):(\d+)$/;
+
+async function paidTickets(drawId, userId) {
+  const [row] = await db.aggregate(Ticket, [
+    { $match: { drawId, userId, status: "paid" } },
+    { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+  ], []);
+  return row?.quantity || 0;
+}
+
+// Map of userId -> paid tickets in a draw
+async function paidTicketMap(draw) {
+  const rows = await db.aggregate(Ticket, [
+    { $match: { drawId: draw.id, status: "paid" } },
+    { $group: { _id: "$userId", quantity: { $sum: "$quantity" } } },
+  ], []);
+  return new Map(rows.map((row) => [row._id, row.quantity]));
+}
+
+// Why a purchase can't go ahead (a locale key), or null when it can
+async function ticketPurchaseError(draw, userId, quantity) {
+  if (!draw?.active) return "buy_not_open";
+  if (!draw.ticketPrice) return "buy_not_for_sale";
+  if (!(await db.findOne(Participant, { drawId: draw.id, userId }))) return "buy_join_first";
+  if (draw.maxPaidTickets && (await paidTickets(draw.id, userId)) + quantity > draw.maxPaidTickets)
+    return "buy_over_cap";
+  return null;
+}
+
+// Refunds every paid ticket of a draw; failures stay in the ledger for a retry
+async function refundTickets(api, draw) {
+  const tickets = await db.find(Ticket, { drawId: draw.id, status: { $in: ["paid", "refund_failed"] } }, []);
+  let refunded = 0;
+  let failed = 0;
+  for (const ticket of tickets) {
+    try {
+      await api.refundStarPayment(ticket.userId, ticket.chargeId);
+      ticket.status = "refunded";
+      ticket.refundedAt = new Date();
+      ticket.error = undefined;
+      refunded++;
+    } catch (err) {
+      ticket.status = "refund_failed";
+      ticket.error = err.message;
+      failed++;
+      console.error(`❌ Refund of ${ticket.chargeId} failed:`, err.message);
+    }
+    await safeDbOperation(() => ticket.save(), null, "save Ticket");
+  }
+  return { refunded, failed };
+}
+
+// =============== ELIGIBILITY ===============
+// Per-draw join rules, checked in order; the first failing rule is named in
+// the reply. Rule texts are plain (no HTML) since they also go into alerts.
+const ELIGIBILITY_RULES = [
+  {
+    key: "rule_allow_list",
+    active: (rules) => rules.allowIds.length > 0,
+    check: (api, draw, userId) => draw.rules.allowIds.includes(userId),
+  },
+  {
+    key: "rule_deny_list",
+    active: (rules) => rules.denyIds.length > 0,
+    check: (api, draw, userId) => !draw.rules.denyIds.includes(userId),
+  },
+  {
+    key: "rule_language",
+    active: (rules) => Boolean(rules.language),
+    vars: (rules) => ({ language: rules.language }),
+    async check(api, draw, userId) {
+      const user = await db.findOne(User, { userId });
+      const code = user?.languageCode?.split("-")[0] || (await userLang(userId));
+      return code.toLowerCase() === draw.rules.language;
+    },
+  },
+  {
+    key: "rule_min_referrals",
+    active: (rules) => rules.minReferrals > 0,
+    vars: (rules) => ({ count: rules.minReferrals }),
+    check: async (api, draw, userId) =>
+      (await db.count(Referral, { referrerId: userId, status: "valid" })) >= draw.rules.minReferrals,
+  },
+  {
+    key: "rule_no_recent_win",
+    active: (rules) => rules.noWinInLast > 0,
+    vars: (rules) => ({ count: rules.noWinInLast }),
+    async check(api, draw, userId) {
+      const recent = await safeDbOperation(
+        () => Draw.find({ drawnAt: { $ne: null } }).sort({ drawnAt: -1 }).limit(draw.rules.noWinInLast),
+        [],
+        "find on Draw"
+      );
+      return !recent.some((d) => d.winners.includes(userId));
+    },
+  },
+  {
+    key: "rule_channels",
+    active: (rules) => rules.channels.length > 0,
+    vars: (rules) => ({ channels: rules.channels.join(", ") }),
+    async check(api, draw, userId) {
+      for (const channel of draw.rules.channels) {
+        if (!(await isChannelMember(api, userId, channel))) return false;
+      }
+      return true;
+    },
+  },
+];
+
+function activeRules(draw) {
+  return ELIGIBILITY_RULES.filter((rule) => rule.active(draw.rules));
+}
+
+function describeRule(lang, draw, rule) {
+  return t(lang, rule.key, rule.vars?.(draw.rules));
+}
+
+async function failedRule(api, draw, userId) {
+  for (const rule of activeRules(draw)) {
+    if (!(await rule.check(api, draw, userId))) return rule;
+  }
+  return null;
+}
+
+// Requirement lines for /rules, including the global channel gate
+function drawRequirements(lang, draw) {
+  const lines = activeRules(draw).map((rule) => "• " + describeRule(lang, draw, rule));
+  if (REQUIRE_CHANNEL_MEMBERSHIP && !draw.chatId) lines.unshift("• " + t(lang, "rule_main_channel", { channel: CHANNEL_USERNAME }));
+  return lines.join("\n") || t(lang, "rules_no_requirements");
+}
+
+// =============== DRAW SETTINGS ===============
+// Setters for /setdraw; each returns false when the values are invalid.
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+
+// <userId...> | off
+const userIdList = (field) => (draw, values) => {
+  const ids = values[0] === "off" ? [] : values.map(Number);
+  if (values.length === 0 || !ids.every((id) => Number.isInteger(id) && id > 0)) return false;
+  draw.rules[field] = ids;
+  return true;
+};
+
+const DRAW_SETTINGS = {
+  // bonus <perReferral> [cap]
+  bonus: (draw, [perReferral, cap]) => {
+    const per = Number(perReferral);
+    const max = cap === undefined ? null : Number(cap);
+    if (!isCount(per) || (max !== null && !isCount(max))) return false;
+    draw.bonusPerReferral = per;
+    draw.bonusCap = max;
+    return true;
+  },
+  // price <stars> [maxPerUser]: extra tickets for sale (0 = off)
+  price: (draw, [stars, cap]) => {
+    const price = Number(stars);
+    const max = cap === undefined ? null : Number(cap);
+    if (!isCount(price) || (max !== null && !(isCount(max) && max > 0))) return false;
+    draw.ticketPrice = price || null;
+    draw.maxPaidTickets = max;
+    return true;
+  },
+  // referrals <min> (0 = off)
+  referrals: (draw, [min]) => {
+    if (!isCount(Number(min))) return false;
+    draw.rules.minReferrals = Number(min);
+    return true;
+  },
+  // channels <@channel...> | off
+  channels: (draw, values) => {
+    const channels = values[0] === "off" ? [] : values;
+    if (values.length === 0 || !channels.every((c) => /^(@\w{4,}|-100\d+)$/.test(c))) return false;
+    draw.rules.channels = channels;
+    return true;
+  },
+  allow: userIdList("allowIds"),
+  deny: userIdList("denyIds"),
+  // language <code> | off
+  language: (draw, [code]) => {
+    if (code !== "off" && !/^[a-z]{2,3}$/.test(code || "")) return false;
+    draw.rules.language = code === "off" ? null : code;
+    return true;
+  },
+  // nowin <lastDraws> (0 = off)
+  nowin: (draw, [count]) => {
+    if (!isCount(Number(count))) return false;
+    draw.rules.noWinInLast = Number(count);
+    return true;
+  },
+};
+
+function drawSettingsSummary(lang, draw) {
+  const settings = [
+    draw.bonusPerReferral
+      ? t(lang, "setdraw_bonus_on", {
+          per: draw.bonusPerReferral,
+          cap: draw.bonusCap == null ? "∞" : draw.bonusCap,
+        })
+      : t(lang, "setdraw_bonus_off"),
+    draw.ticketPrice
+      ? t(lang, "setdraw_price_on", {
+          price: draw.ticketPrice,
+          cap: draw.maxPaidTickets == null ? "∞" : draw.maxPaidTickets,
+        })
+      : t(lang, "setdraw_price_off"),
+  ];
+  const rules = activeRules(draw).map((rule) => "📋 " + describeRule(lang, draw, rule));
+  settings.push(...(rules.length ? rules : [t(lang, "setdraw_rules_none")]));
+  return t(lang, "setdraw_summary", { title: escapeHtml(draw.title), id: draw.id, settings: settings.join("\n") });
+}
+
+// =============== PRIZES ===============
+// "1: Phone" or "2-5: Gift card", one tier per line, covering slots 1..N
+// without gaps. A bare number means N winners without named prizes.
+function parsePrizes(text) {
+  const count = Number(text);
+  if (Number.isInteger(count) && count >= 1) return { prizes: [], winnerCount: count };
+
+  const prizes = [];
+  for (const line of (text || "").split("\n").map((l) => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(\d+)(?:\s*[-–]\s*(\d+))?\s*[:.)]\s*(.+)$/);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    const expected = prizes.length ? prizes[prizes.length - 1].to + 1 : 1;
+    if (from !== expected || to < from) return null;
+    prizes.push({ from, to, name: match[3].slice(0, 100) });
+  }
+  if (prizes.length === 0) return null;
+  return { prizes, winnerCount: prizes[prizes.length - 1].to };
+}
+
+// Prize of a 0-based winner slot, if the draw has one for it
+function prizeFor(draw, slot) {
+  return draw.prizes?.find((p) => slot + 1 >= p.from && slot + 1 <= p.to)?.name;
+}
+
+function prizeLines(lang, prizes) {
+  return prizes
+    .map((p) =>
+      t(lang, "prize_tier", {
+        ranks: p.from === p.to ? p.from : `${p.from}–${p.to}`,
+        prize: escapeHtml(p.name),
+      })
+    )
+    .join("\n");
+}
+
+// Description, prizes and limits of a draw (or of wizard data)
+function drawDetails(lang, draw) {
+  const lines = [];
+  if (draw.description) lines.push(escapeHtml(draw.description));
+  if (draw.prizes?.length) lines.push(t(lang, "draw_card_prizes", { list: prizeLines(lang, draw.prizes) }));
+  else lines.push(t(lang, "draw_card_winners", { count: draw.winnerCount || 1 }));
+  if (draw.maxParticipants) lines.push(t(lang, "draw_card_max", { count: draw.maxParticipants }));
+  if (draw.endsAt) lines.push(t(lang, "draw_card_ends", { time: formatTime(new Date(draw.endsAt)) }));
+  return lines.join("\n\n");
+}
+
+// =============== DRAW WIZARD ===============
+// Steps of the /newdraw wizard. parse() turns the admin's message into draw
+// fields, or returns null to ask again; optional steps get a Skip button.
+// Values must survive the JSON session store, hence ISO strings for dates.
+const WIZARD_STEPS = [
+  {
+    name: "title",
+    parse: (msg) => (msg.text?.trim() ? { title: msg.text.trim().slice(0, 100) } : null),
+  },
+  {
+    name: "description",
+    optional: true,
+    parse: (msg) => (msg.text?.trim() ? { description: msg.text.trim().slice(0, 800) } : null),
+  },
+  {
+    name: "banner",
+    optional: true,
+    parse: (msg) => (msg.photo ? { banner: msg.photo[msg.photo.length - 1].file_id } : null),
+  },
+  { name: "prizes", optional: true, parse: (msg) => parsePrizes(msg.text) },
+  {
+    name: "max",
+    optional: true,
+    parse: (msg) => {
+      const max = Number(msg.text);
+      return Number.isInteger(max) && max > 0 ? { maxParticipants: max } : null;
+    },
+  },
+  {
+    name: "end",
+    optional: true,
+    parse: (msg) => {
+      const endsAt = parseTime(msg.text);
+      return endsAt > new Date() ? { endsAt: endsAt.toISOString() } : null;
+    },
+  },
+];
+
+// =============== DRAW LIFECYCLE ===============
+// Shared by the admin commands and the scheduler.
+// With a photo, the text becomes its caption when it fits Telegram's limit
+async function postToChannel(api, text, photo) {
+  try {
+    if (photo && text.length <= 1024) {
+      return await api.sendPhoto(CHANNEL_USERNAME, photo, { caption: text, parse_mode: "HTML" });
+    }
+    if (photo) await api.sendPhoto(CHANNEL_USERNAME, photo);
+    return await api.sendMessage(CHANNEL_USERNAME, text, { parse_mode: "HTML" });
+  } catch {
+    console.log("⚠️ Could not post to channel.");
+    return null;
+  }
+}
+
+async function notifyAdmins(api, key, vars) {
+  for (const adminId of adminRoles.keys()) {
+    try {
+      await api.sendMessage(adminId, t(await userLang(adminId), key, vars), { parse_mode: "HTML" });
+    } catch (err) {
+      console.error(`Failed to notify admin ${adminId}:`, err.message);
+    }
+  }
+}
+
+// Channel post for a draw that is open for entries: key's headline with the
+// seed commitment, then the prizes and limits
+async function announceDraw(api, draw, key) {
+  const announcement = [
+    t(CHANNEL_LANG, key, { title: escapeHtml(draw.title), id: draw.id, hash: draw.seedHash }),
+    drawDetails(CHANNEL_LANG, draw),
+  ].join("\n\n");
+  await postToChannel(api, announcement, draw.banner);
+}
+
+// Scheduled draws are announced only now, when they can be joined
+async function openDraw(api, draw) {
+  draw.active = true;
+  draw.scheduled = false;
+  await draw.save();
+  await announceDraw(api, draw, "draw_opened_announce");
+}
+
+async function closeDraw(draw) {
+  draw.active = false;
+  draw.scheduled = false;
+  draw.closedAt = new Date();
+  draw.closedParticipantCount = await db.count(Participant, { drawId: draw.id });
+  await draw.save();
+}
+
+// Winner names, marked ✅ once claimed and ⏳ while the claim is open
+async function winnerLines(draw) {
+  if (draw.legacyWinners?.length) return draw.legacyWinners;
+  const users = await findUsers(draw.winners);
+  return draw.winners.map((userId) => {
+    const name = userLabel(users.get(userId), userId);
+    const claim = draw.claims.find((c) => c.userId === userId);
+    if (!claim) return name;
+    const line = `${claim.status === "claimed" ? "✅" : "⏳"} ${name}`;
+    return claim.prize ? `${line} — 🎁 ${escapeHtml(claim.prize)}` : line;
+  });
+}
+
+async function drawResultsMessage(lang, draw) {
+  const list = (await winnerLines(draw)).join("\n");
+  return (
+    `${t(lang, "draw_results", { title: escapeHtml(draw.title), list })}\n\n` +
+    t(lang, "draw_proof", { id: draw.id, seed: draw.seed })
+  );
+}
+
+// Most winners /draw accepts; draw IDs are long timestamps, so a number up to
+// this is always a count
+const DRAW_MAX_WINNERS = 100;
+
+// Picks and stores the winners of a closed draw (fetched with "+seed"),
+// then announces them in the channel.
+async function runDraw(api, draw, count) {
+  const entries = await db.find(Participant, { drawId: draw.id }, null);
+  if (!entries) return { status: "unavailable" };
+  if (entries.length === 0) return { status: "no_participants" };
+
+  // Draws created before commit-reveal existed get their seed now
+  if (!draw.seed) {
+    draw.seed = newSeed();
+    draw.seedHash = sha256(draw.seed);
+    draw.committedAt = new Date();
+  }
+
+  // Snapshot tickets so /verify can replay the weighted selection later
+  const counts = await ticketCounts(draw, entries.map((e) => e.userId));
+  const weighted = entries.filter((e) => counts.get(e.userId) > 1);
+  if (weighted.length > 0) {
+    await safeDbOperation(
+      () =>
+        Participant.bulkWrite(
+          weighted.map((e) => ({
+            updateOne: { filter: { _id: e._id }, update: { $set: { tickets: counts.get(e.userId) } } },
+          }))
+        ),
+      null,
+      "bulkWrite on Participant"
+    );
+  }
+
+  // Walk the fair order, skipping winners who left the channel since joining
+  const { sorted, hash: participantsHash } = hashParticipants(
+    entries.map((e) => ({ userId: e.userId, tickets: counts.get(e.userId) }))
+  );
+  // (users disqualified before the draw stay excluded)
+  const winners = [];
+  const excluded = [...draw.excludedIds];
+  for (const userId of fairOrder(draw.seed, sorted, participantsHash)) {
+    if (winners.length >= count) break;
+    if (excluded.includes(userId)) continue;
+    if (await isChannelMember(api, userId, membershipChat(draw))) winners.push(userId);
+    else excluded.push(userId);
+  }
+  draw.participantsHash = participantsHash;
+  draw.participantCount = entries.length;
+  draw.winnerCount = count;
+  draw.winners = winners;
+  draw.excludedIds = excluded;
+  draw.drawnAt = new Date();
+  try {
+    await draw.save();
+  } catch (err) {
+    console.error(`❌ Failed to save the result of draw ${draw.id}:`, err.message);
+    const fields = Object.fromEntries(DRAW_RESULT_FIELDS.map((field) => [field, draw[field]]));
+    const queued = enqueueOutbox({ type: "draw_result", drawId: draw.id, fields });
+    return { status: queued ? "pending" : "failed", draw };
+  }
+  await announceDrawResult(api, draw);
+  return { status: "drawn", draw };
+}
+
+// Fields runDraw sets, replayed from the outbox if saving them failed
+const DRAW_RESULT_FIELDS = [
+  "seed",
+  "seedHash",
+  "committedAt",
+  "participantsHash",
+  "participantCount",
+  "winnerCount",
+  "winners",
+  "excludedIds",
+  "drawnAt",
+];
+
+// Starts the winners' claims and posts the result
+async function announceDrawResult(api, draw) {
+  for (const [slot, userId] of draw.winners.entries()) await startClaim(api, draw, userId, prizeFor(draw, slot));
+  await draw.save();
+
+  const post = draw.chatId
+    ? await replyInGiveaway(api, draw, `📢 ${await drawResultsMessage(draw.lang, draw)}`)
+    : await postToChannel(api, `📢 ${await drawResultsMessage(CHANNEL_LANG, draw)}`);
+  if (post) {
+    draw.announcementId = post.message_id;
+    await draw.save();
+  }
+  await queueDrawNotification("results", draw);
+}
+
+// =============== GROUP GIVEAWAYS ===============
+// /giveaway runs a draw inside a group: a card with a Join button whose entry
+// count is edited as people join, closed by a scheduled "draw" job.
+const GIVEAWAY_DEFAULT_MINUTES = 60;
+const GIVEAWAY_MAX_MINUTES = 30 * 24 * 60;
+// Telegram allows about 20 messages a minute per group, edits included
+const GIVEAWAY_EDIT_DELAY_MS = 3000;
+const pendingCardEdits = new Set();
+
+// "30m", "2h" or "1d" -> minutes
+function parseDuration(input) {
+  const match = input.trim().match(/^(\d+)\s*([mhd])$/i);
+  if (!match) return null;
+  const minutes = Number(match[1]) * { m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  return minutes >= 1 && minutes <= GIVEAWAY_MAX_MINUTES ? minutes : null;
+}
+
+function giveawayCard(draw, count) {
+  const vars = {
+    title: escapeHtml(draw.title),
+    count,
+    winners: draw.winnerCount || 1,
+    time: formatTime(draw.endsAt),
+    hash: draw.seedHash,
+  };
+  if (!draw.active) return { text: t(draw.lang, "giveaway_card_closed", vars) };
+  return {
+    text: t(draw.lang, "giveaway_card", vars),
+    reply_markup: new InlineKeyboard().text(t(draw.lang, "button_join"), `join:${draw.id}`),
+  };
+}
+
+async function editGiveawayCard(api, draw) {
+  const count = await db.count(Participant, { drawId: draw.id });
+  const { text, reply_markup } = giveawayCard(draw, count);
+  try {
+    await api.editMessageText(draw.chatId, draw.messageId, text, { parse_mode: "HTML", reply_markup });
+  } catch (err) {
+    if (!/not modified/.test(err.message)) console.error("⚠️ Could not update giveaway card:", err.message);
+  }
+}
+
+// Joins within the delay are folded into one edit
+function refreshGiveawayCard(api, drawId) {
+  if (pendingCardEdits.has(drawId)) return;
+  pendingCardEdits.add(drawId);
+  setTimeout(async () => {
+    pendingCardEdits.delete(drawId);
+    const draw = await db.findOne(Draw, { id: drawId });
+    if (draw?.active) await editGiveawayCard(api, draw);
+  }, GIVEAWAY_EDIT_DELAY_MS);
+}
+
+async function replyInGiveaway(api, draw, text) {
+  try {
+    return await api.sendMessage(draw.chatId, text, {
+      parse_mode: "HTML",
+      reply_parameters: { message_id: draw.messageId, allow_sending_without_reply: true },
+    });
+  } catch (err) {
+    console.error(`⚠️ Could not post in group ${draw.chatId}:`, err.message);
+    return null;
+  }
+}
+
+// Called by the "draw" job once winners are picked (or nobody entered)
+async function finishGiveaway(api, draw, status) {
+  await editGiveawayCard(api, draw);
+  if (status === "no_participants") {
+    await replyInGiveaway(api, draw, t(draw.lang, "giveaway_no_entries", { title: escapeHtml(draw.title) }));
+  }
+}
+
+// =============== WINNER CLAIMS ===============
+// Every winner gets a DM with a "Claim prize" button and CLAIM_DEADLINE_HOURS
+// to use it. Expired, rerolled or disqualified winners join excludedIds and
+// the next eligible user in the fair order takes their slot, so /verify still
+// reproduces the final winners.
+// Group giveaways have no claims: most members never started the bot, so it
+// can't DM them, and the result posted in the group already names the winners.
+async function startClaim(api, draw, userId, prize) {
+  if (draw.chatId) return;
+  const deadline = new Date(Date.now() + CLAIM_DEADLINE_HOURS * 60 * 60 * 1000);
+  draw.claims.push({ userId, prize, status: "pending", deadline });
+  await db.create(ScheduledJob, { type: "claim", drawId: draw.id, userId, runAt: deadline });
+
+  const lang = await userLang(userId);
+  let text = t(lang, "claim_prompt", { title: escapeHtml(draw.title), deadline: formatTime(deadline) });
+  if (prize) text += "\n\n" + t(lang, "claim_prize", { prize: escapeHtml(prize) });
+  try {
+    await api.sendMessage(
+      userId,
+      text,
+      {
+        parse_mode: "HTML",
+        reply_markup: new InlineKeyboard().text(t(lang, "button_claim"), `claim:${draw.id}`),
+      }
+    );
+  } catch (err) {
+    console.error(`Failed to send claim prompt to ${userId}:`, err.message);
+  }
+}
+
+async function updateAnnouncement(api, draw) {
+  if (!draw.announcementId) return;
+  try {
+    await api.editMessageText(
+      draw.chatId ?? CHANNEL_USERNAME,
+      draw.announcementId,
+      `📢 ${await drawResultsMessage(draw.chatId ? draw.lang : CHANNEL_LANG, draw)}`,
+      { parse_mode: "HTML" }
+    );
+  } catch (err) {
+    console.error("⚠️ Could not update channel announcement:", err.message);
+  }
+}
+
+// Takes the prize away from userId (status: expired | rerolled | disqualified)
+// and gives their slot to the next eligible participant. Returns the new
+// winner's ID, or null when nobody is left.
+async function replaceWinner(api, draw, userId, status) {
+  const slot = draw.winners.indexOf(userId);
+  const claim = draw.claims.find((c) => c.userId === userId && ["pending", "claimed"].includes(c.status));
+  // The replacement gets the prize of the vacated slot
+  const prize = claim ? claim.prize : prizeFor(draw, slot);
+  if (claim) claim.status = status;
+  if (!draw.excludedIds.includes(userId)) draw.excludedIds.push(userId);
+  if (slot === -1) {
+    await draw.save();
+    return null;
+  }
+
+  const entries = await db.find(Participant, { drawId: draw.id }, []);
+  const { sorted, hash } = hashParticipants(entries);
+  const taken = new Set([...draw.winners, ...draw.excludedIds]);
+  let replacement = null;
+  for (const candidate of fairOrder(draw.seed, sorted, hash)) {
+    if (taken.has(candidate)) continue;
+    if (await isChannelMember(api, candidate, membershipChat(draw))) {
+      replacement = candidate;
+      break;
+    }
+    draw.excludedIds.push(candidate);
+  }
+
+  if (replacement) {
+    draw.winners.set(slot, replacement);
+    await startClaim(api, draw, replacement, prize);
+  } else {
+    draw.winners.splice(slot, 1);
+  }
+  await draw.save();
+  await updateAnnouncement(api, draw);
+  return replacement;
+}
+
+// =============== EXPORTS ===============
+// Exports are streamed row by row into a temp file and sent as a document,
+// so large draws never have to fit in memory or in one message.
+const EXPORT_FORMATS = ["csv", "json"];
+
+function csvCell(value) {
+  const text = value == null ? "" : value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Yields documents from a cursor in arrays, for batched registry lookups
+async function* batches(cursor, size = 500) {
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+async function writeExport(filePath, rows, columns, format) {
+  async function* lines() {
+    if (format === "csv") yield columns.join(",") + "\n";
+    else yield "[\n";
+    let first = true;
+    for await (const row of rows) {
+      if (format === "csv") yield columns.map((c) => csvCell(row[c])).join(",") + "\n";
+      else yield (first ? "" : ",\n") + JSON.stringify(row);
+      first = false;
+    }
+    if (format === "json") yield "\n]\n";
+  }
+  await pipeline(Readable.from(lines()), fs.createWriteStream(filePath));
+}
+
+const EXPORTS = {
+  participants: {
+    columns: ["userId", "username", "name", "joinedAt", "tickets"],
+    async *rows(draw) {
+      const cursor = Participant.find({ drawId: draw.id }).sort({ createdAt: 1 }).lean().cursor();
+      for await (const batch of batches(cursor)) {
+        const ids = batch.map((p) => p.userId);
+        const users = await findUsers(ids);
+        // Entries store their tickets once the draw is done; until then count
+        // referral bonuses and tickets bought with Stars
+        const tickets = draw.drawnAt ? null : await ticketCounts(draw, ids);
+        for (const p of batch) {
+          const user = users.get(p.userId);
+          yield {
+            userId: p.userId,
+            username: user?.username ?? p.username, // older entries stored a copy
+            name: fullName(user) || p.name,
+            joinedAt: p.createdAt,
+            tickets: tickets ? tickets.get(p.userId) : p.tickets || 1,
+          };
+        }
+      }
+    },
+  },
+  winners: {
+    columns: ["slot", "userId", "username", "name", "prize", "status", "deadline", "claimedAt"],
+    async *rows(draw) {
+      // Legacy draws have winners without claims
+      const claims = draw.claims.length
+        ? draw.claims
+        : draw.winners.map((userId) => ({ userId, status: "" }));
+      const users = await findUsers(claims.map((c) => c.userId));
+      for (const claim of claims) {
+        const slot = draw.winners.indexOf(claim.userId);
+        const current = slot !== -1 && ["pending", "claimed", ""].includes(claim.status);
+        const user = users.get(claim.userId);
+        yield {
+          slot: current ? slot + 1 : "",
+          userId: claim.userId,
+          username: user?.username,
+          name: fullName(user),
+          prize: claim.prize,
+          status: claim.status,
+          deadline: claim.deadline,
+          claimedAt: claim.claimedAt,
+        };
+      }
+    },
+  },
+  referrals: {
+    columns: ["referrerId", "referredId", "status", "reason", "createdAt", "validatedAt"],
+    async *rows() {
+      const cursor = Referral.find({}).sort({ createdAt: 1 }).lean().cursor();
+      for await (const r of cursor) {
+        yield {
+          referrerId: r.referrerId,
+          referredId: r.referredId,
+          status: r.status || "pending",
+          reason: r.reason,
+          createdAt: r.createdAt,
+          validatedAt: r.validatedAt,
+        };
+      }
+    },
+  },
+};
+
+// =============== ADMIN ROLES ===============
+// Admins live in the Admin collection; ADMIN_IDS from the environment are
+// seeded as owners on every start and can't be removed with /removeadmin.
+// Roles are ranked, each including the ones before it:
+//   viewer   - stats, participants, exports and logs
+//   operator - creates, closes and draws draws, and moderates
+//   owner    - manages admins
+const ADMIN_ROLES = ["viewer", "operator", "owner"];
+const ADMIN_CACHE_MS = 60 * 1000;
+let adminRoles = new Map(ADMIN_IDS.map((id) => [id, "owner"])); // userId -> role
+let adminsLoadedAt = 0;
+
+// Admin commands and the least role that may run them; all of them are audited
+const ADMIN_COMMANDS = {
+  newdraw: "operator",
+  closedraw: "operator",
+  draw: "operator",
+  setdraw: "operator",
+  canceldraw: "operator",
+  reroll: "operator",
+  disqualify: "operator",
+  invalidate: "operator",
+  schedule: "operator",
+  broadcast: "operator",
+  faq: "operator",
+  tempban: "operator",
+  unban: "operator",
+  export: "viewer",
+  stats: "viewer",
+  participants: "viewer",
+  count: "viewer",
+  dbstatus: "viewer",
+  audit: "viewer",
+  revenue: "viewer",
+  offenders: "viewer",
+  admins: "viewer",
+  addadmin: "owner",
+  removeadmin: "owner",
+};
+
+async function seedOwners() {
+  for (const userId of ADMIN_IDS) {
+    await safeDbOperation(
+      () => Admin.updateOne({ userId }, { $set: { role: "owner" } }, { upsert: true }),
+      null,
+      "upsert on Admin"
+    );
+  }
+}
+
+// Cached so the permission check stays synchronous; other instances' changes
+// show up within ADMIN_CACHE_MS
+async function loadAdmins(force = false) {
+  if (!force && Date.now() - adminsLoadedAt < ADMIN_CACHE_MS) return;
+  const admins = await db.find(Admin, {}, null);
+  if (!admins) return; // keep the last known list while MongoDB is down
+  adminRoles = new Map(admins.filter((a) => ADMIN_ROLES.includes(a.role)).map((a) => [a.userId, a.role]));
+  for (const userId of ADMIN_IDS) adminRoles.set(userId, "owner");
+  adminsLoadedAt = Date.now();
+}
+
+// The permission check behind every admin command and button
+function hasRole(ctx, role) {
+  const current = ctx?.from && adminRoles.get(ctx.from.id);
+  return Boolean(current) && ADMIN_ROLES.indexOf(current) >= ADMIN_ROLES.indexOf(role);
+}
+
+function isAdmin(ctx) {
+  return hasRole(ctx, "viewer");
+}
+
+// =============== AUDIT LOG ===============
+// Every admin command is recorded by a middleware: handlers fill in
+// ctx.audit.drawId and mark validation failures through rejectCommand.
+// Anyone can type an admin command, so attempts by non-admins are stored at
+// most once per user every AUDIT_OUTSIDER_MS and never mirrored.
+const AUDIT_OUTSIDER_MS = 10 * 60 * 1000;
+const outsiderAuditedAt = new Map(); // userId -> last stored attempt
+
+async function recordAudit(api, entry) {
+  const outsider = entry.outcome === "denied" && !adminRoles.has(entry.actorId);
+  if (outsider) {
+    const now = Date.now();
+    if (now - (outsiderAuditedAt.get(entry.actorId) || 0) < AUDIT_OUTSIDER_MS) return;
+    outsiderAuditedAt.set(entry.actorId, now);
+    for (const [userId, at] of outsiderAuditedAt) {
+      if (now - at >= AUDIT_OUTSIDER_MS) outsiderAuditedAt.delete(userId);
+    }
+  }
+  const args = (entry.args || "").slice(0, 500);
+  await db.create(AuditLog, { ...entry, args });
+  if (!AUDIT_CHANNEL_ID || outsider) return;
+  try {
+    await api.sendMessage(
+      AUDIT_CHANNEL_ID,
+      t(CHANNEL_LANG, "audit_mirror", {
+        actor: entry.actorId,
+        command: entry.command,
+        args: escapeHtml(args) || "-",
+        draw: entry.drawId || "-",
+        outcome: entry.outcome,
+      }),
+      { parse_mode: "HTML" }
+    );
+  } catch (err) {
+    console.log("⚠️ Could not mirror audit entry:", err.message);
+  }
+}
+
+function rejectCommand(ctx, key, vars) {
+  if (ctx.audit) ctx.audit.outcome = "rejected";
+  return ctx.reply(ctx.t(key, vars), { parse_mode: "HTML" });
+}
+
+// =============== PAGINATED LISTS ===============
+// Long lists are browsed page by page in one message. Callback data carries
+// the list name, its key (draw ID or referrer ID) and the page; an active
+// search lives in the session, since a query won't fit in 64 bytes.
+const PAGE_SIZE = 10;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// A numeric query is a user ID; anything else matches usernames
+async function matchingUserIds(query) {
+  if (/^\d+$/.test(query)) return [Number(query)];
+  const pattern = new RegExp(escapeRegex(query.replace(/^@/, "")), "i");
+  const users = await safeDbOperation(
+    () => User.find({ username: pattern }).select("userId").limit(500),
+    [],
+    "find on User"
+  );
+  return users.map((u) => u.userId);
+}
+
+function participantLine(ctx, rank, userId, user) {
+  const vars = { rank, id: userId };
+  if (user?.username) return ctx.t("participant_entry_username", { ...vars, username: user.username });
+  if (fullName(user)) return ctx.t("participant_entry_name", { ...vars, name: escapeHtml(fullName(user)) });
+  return ctx.t("participant_entry_id", vars);
+}
+
+const LISTS = {
+  participants: {
+    model: Participant,
+    idField: "userId",
+    rowActions: true,
+    canView: (ctx) => isAdmin(ctx),
+    filter: (key) => ({ drawId: key }),
+    async header(ctx, key) {
+      const draw = await db.findOne(Draw, { id: key });
+      const count = await db.count(Participant, { drawId: key });
+      return ctx.t("participants_title", { title: escapeHtml(draw?.title ?? key), count });
+    },
+    row: participantLine,
+  },
+  referrals: {
+    model: Referral,
+    idField: "referredId",
+    canView: (ctx, key) => Number(key) === ctx.from.id || isAdmin(ctx),
+    filter: (key) => ({ referrerId: Number(key), status: "valid" }),
+    async header(ctx, key) {
+      const referrerId = Number(key);
+      const count = await db.count(Referral, { referrerId, status: "valid" });
+      const pending = await db.count(Referral, { referrerId, status: "pending" });
+      return ctx.t("referrals_title", { count, pending });
+    },
+    footer: (ctx, key) => ctx.t("referral_share", { username: ctx.me.username, uid: key }),
+    row: (ctx, rank, userId, user) =>
+      ctx.t("referral_entry", {
+        rank,
+        id: userId,
+        name: escapeHtml(fullName(user)) || ctx.t("user_fallback_name", { id: userId }),
+      }),
+  },
+  // Key is a draw ID, or "all"; searching matches the actor
+  audit: {
+    model: AuditLog,
+    idField: "actorId",
+    sort: { _id: -1 },
+    canView: (ctx) => isAdmin(ctx),
+    filter: (key) => (key === "all" ? {} : { drawId: key }),
+    async header(ctx, key) {
+      const count = await db.count(AuditLog, key === "all" ? {} : { drawId: key });
+      return ctx.t(key === "all" ? "audit_title_all" : "audit_title_draw", { id: key, count });
+    },
+    row: (ctx, rank, userId, user, entry) =>
+      ctx.t("audit_entry", {
+        time: formatTime(entry.createdAt),
+        actor: userLabel(user, userId),
+        command: entry.command,
+        args: escapeHtml(entry.args) || "-",
+        draw: entry.drawId || "-",
+        outcome: entry.outcome,
+      }),
+  },
+  // Users who triggered rate limit cooldowns, most often first
+  offenders: {
+    model: User,
+    idField: "userId",
+    sort: { rateLimitHits: -1, lastRateLimitedAt: -1 },
+    canView: (ctx) => isAdmin(ctx),
+    filter: () => ({ rateLimitHits: { $gt: 0 } }),
+    async header(ctx) {
+      const count = await db.count(User, { rateLimitHits: { $gt: 0 } });
+      return ctx.t("offenders_title", { count });
+    },
+    row: (ctx, rank, userId, user) =>
+      ctx.t(user.bannedUntil > new Date() ? "offender_entry_banned" : "offender_entry", {
+        rank,
+        user: userLabel(user, userId),
+        hits: user.rateLimitHits,
+        last: formatTime(user.lastRateLimitedAt),
+        until: user.bannedUntil && formatTime(user.bannedUntil),
+      }),
+  },
+};
+
+async function renderPage(ctx, name, key, page) {
+  const list = LISTS[name];
+  const query = ctx.session.searches?.[`${name}:${key}`];
+  const filter = list.filter(key);
+  if (query) filter[list.idField] = { $in: await matchingUserIds(query) };
+
+  const total = await db.count(list.model, filter);
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const items = await safeDbOperation(
+    () =>
+      list.model
+        .find(filter)
+        .sort(list.sort ?? { _id: 1 })
+        .skip(page * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+    [],
+    `find on ${list.model.modelName}`
+  );
+  const users = await findUsers(items.map((item) => item[list.idField]));
+  const keyboard = new InlineKeyboard();
+
+  const lines = items.map((item, i) => {
+    const rank = page * PAGE_SIZE + i + 1;
+    const userId = item[list.idField];
+    if (list.rowActions && hasRole(ctx, "operator")) {
+      keyboard
+        .text(ctx.t("page_remove_button", { rank }), `prm:${key}:${userId}:${page}`)
+        .text(ctx.t("page_ban_button", { rank }), `pban:${key}:${userId}:${page}`)
+        .row();
+    }
+    return list.row(ctx, rank, userId, users.get(userId), item);
+  });
+
+  let text = await list.header(ctx, key);
+  if (query) text += "\n" + ctx.t("page_search_active", { query: escapeHtml(query), count: total });
+  text += "\n\n" + (lines.join("\n") || ctx.t(query ? "page_search_empty" : "page_empty"));
+  if (pages > 1) text += "\n\n" + ctx.t("page_position", { page: page + 1, pages });
+  if (list.footer) text += "\n\n" + list.footer(ctx, key);
+
+  if (page > 0) keyboard.text(ctx.t("page_prev"), `pg:${name}:${key}:${page - 1}`);
+  if (page < pages - 1) keyboard.text(ctx.t("page_next"), `pg:${name}:${key}:${page + 1}`);
+  keyboard.row().text(ctx.t("page_search_button"), `pgq:${name}:${key}`);
+  if (query) keyboard.text(ctx.t("page_clear_button"), `pgx:${name}:${key}`);
+
+  return { text, reply_markup: keyboard };
+}
+
+async function sendPage(ctx, name, key, page = 0) {
+  const { text, reply_markup } = await renderPage(ctx, name, key, page);
+  if (ctx.callbackQuery?.message) {
+    return ctx.editMessageText(text, { parse_mode: "HTML", reply_markup }).catch(() => {});
+  }
+  return ctx.reply(text, { parse_mode: "HTML", reply_markup });
+}
+
+// =============== SCHEDULER ===============
+// Jobs live in MongoDB; each tick claims due jobs one by one, so jobs missed
+// while the bot was down run as soon as it is back. A job left "running" by an
+// instance that died is retried once it has been running for JOB_STALE_MS.
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const JOB_STALE_MS = 15 * 60 * 1000;
+let schedulerTimer = null;
+let schedulerBusy = false;
+
+// "now", "2025-12-24 18:00" or any ISO date; times without an offset are UTC
+function parseTime(input) {
+  if (!input) return null;
+  if (input.trim().toLowerCase() === "now") return new Date();
+  const iso = input.trim().replace(" ", "T");
+  const date = new Date(/([zZ]|[+-]\d\d:?\d\d)$/.test(iso) ? iso : `${iso}Z`);
+  return isNaN(date) ? null : date;
+}
+
+function formatTime(date) {
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+const JOB_HANDLERS = {
+  claim: async (api, draw, job) => {
+    const claim = draw.claims.find((c) => c.userId === job.userId && c.status === "pending");
+    if (!claim) return;
+    const replacement = await replaceWinner(api, draw, job.userId, "expired");
+    await notifyAdmins(api, "claim_expired_admin", {
+      title: escapeHtml(draw.title),
+      id: draw.id,
+      userId: job.userId,
+      replacement: replacement ?? "-",
+    });
+  },
+  open: async (api, draw) => {
+    if (draw.scheduled) await openDraw(api, draw);
+  },
+  draw: async (api, draw) => {
+    if (draw.drawnAt) return;
+    if (draw.active || draw.scheduled) await closeDraw(draw);
+    const result = await runDraw(api, draw, draw.winnerCount || 1);
+    if (result.status === "unavailable" || result.status === "failed")
+      throw new Error(`Draw result ${result.status}: database unavailable`);
+    if (result.status === "pending")
+      return notifyAdmins(api, "draw_result_pending", { title: escapeHtml(draw.title), id: draw.id });
+    if (draw.chatId) return finishGiveaway(api, draw, result.status);
+    if (result.status === "no_participants") {
+      await notifyAdmins(api, "schedule_no_participants", { title: escapeHtml(draw.title), id: draw.id });
+    } else {
+      await notifyAdmins(api, "schedule_drawn", { title: escapeHtml(draw.title), id: draw.id });
+    }
+  },
+};
+
+async function runDueJobs(api) {
+  if (schedulerBusy || !isDbConnected) return;
+  schedulerBusy = true;
+  try {
+    const stale = new Date(Date.now() - JOB_STALE_MS);
+    await safeDbOperation(
+      () =>
+        ScheduledJob.updateMany(
+          { status: "running", $or: [{ startedAt: null }, { startedAt: { $lt: stale } }] },
+          { status: "pending" }
+        ),
+      null,
+      "reset ScheduledJob"
+    );
+    for (;;) {
+      const job = await safeDbOperation(
+        () =>
+          ScheduledJob.findOneAndUpdate(
+            { status: "pending", runAt: { $lte: new Date() } },
+            { status: "running", startedAt: new Date() },
+            { sort: { runAt: 1 }, new: true }
+          ),
+        null,
+        "claim ScheduledJob"
+      );
+      if (!job) break;
+
+      try {
+        const draw = await safeDbOperation(
+          () => Draw.findOne({ id: job.drawId }).select("+seed"),
+          null,
+          "findOne on Draw"
+        );
+        if (!draw) throw new Error(`Draw ${job.drawId} not found`);
+        await JOB_HANDLERS[job.type](api, draw, job);
+        job.status = "done";
+      } catch (err) {
+        console.error(`❌ Scheduled ${job.type} job for draw ${job.drawId} failed:`, err.message);
+        job.status = "failed";
+        job.error = err.message;
+      }
+      await safeDbOperation(() => job.save(), null, "save ScheduledJob");
+    }
+    await queueClosingReminders();
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+function startScheduler(api) {
+  stopScheduler();
+  schedulerTimer = setInterval(() => runDueJobs(api), SCHEDULER_INTERVAL_MS);
+  runDueJobs(api);
+  console.log("⏰ Scheduler started");
+}
+
+function stopScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+// =============== BROADCASTS ===============
+// A broadcast walks the user registry in userId order and stores the last
+// userId it reached, so a restart resumes where it stopped. Users who
+// blocked the bot or opted out in /settings are skipped. Participant
+// notifications (closing reminders, personal results) use the same queue,
+// limited to the draw's participants who turned them on, and go first.
+const BROADCAST_RATE = Number(process.env.BROADCAST_RATE || 20); // messages per second
+const BROADCAST_INTERVAL_MS = 5 * 1000;
+// A broadcast is delivered by one instance at a time; another one takes over
+// if the owner stops renewing its lease
+const BROADCAST_LEASE_MS = 60 * 1000;
+const INSTANCE_ID = crypto.randomUUID();
+// Closing reminders go out this many minutes before a draw's end time
+const REMINDER_MINUTES = Number(process.env.REMINDER_MINUTES || 60);
+let broadcastTimer = null;
+let broadcastBusy = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Broadcast kind -> the opt-in setting that participant notifications need
+const NOTIFICATION_SETTINGS = { reminder: "reminders", results: "results" };
+const WAITING_BROADCASTS = { status: { $in: ["queued", "running"] } };
+// Notifications are time-bound, so they go ahead of announcements
+const WAITING_NOTIFICATIONS = { ...WAITING_BROADCASTS, kind: { $in: Object.keys(NOTIFICATION_SETTINGS) } };
+
+async function broadcastRecipients(broadcast, after = 0) {
+  const setting = NOTIFICATION_SETTINGS[broadcast.kind];
+  if (!setting) return { userId: { $gt: after }, blockedAt: null, "settings.announcements": { $ne: false } };
+  const entries = await safeDbOperation(
+    () => Participant.find({ drawId: broadcast.drawId }).distinct("userId"),
+    null,
+    "distinct on Participant"
+  );
+  if (!entries) return null;
+  return { userId: { $gt: after, $in: entries }, blockedAt: null, [`settings.${setting}`]: true };
+}
+
+async function sendBroadcast(api, broadcast, draw, userId) {
+  if (broadcast.kind === "photo") {
+    return api.sendPhoto(userId, broadcast.photo, {
+      caption: broadcast.text,
+      caption_entities: broadcast.entities,
+    });
+  }
+  if (broadcast.kind === "reminder") {
+    const lang = await userLang(userId);
+    const text = t(lang, "notify_reminder", { title: escapeHtml(draw.title), time: formatTime(draw.endsAt) });
+    return api.sendMessage(userId, text, { parse_mode: "HTML" });
+  }
+  if (broadcast.kind === "results") {
+    const lang = await userLang(userId);
+    const slot = draw.winners.indexOf(userId);
+    if (slot === -1)
+      return api.sendMessage(userId, t(lang, "notify_result_lost", { title: escapeHtml(draw.title), id: draw.id }), {
+        parse_mode: "HTML",
+      });
+    const prize = prizeFor(draw, slot);
+    let text = t(lang, "notify_result_won", { title: escapeHtml(draw.title) });
+    if (prize) text += "\n" + t(lang, "notify_result_prize", { prize: escapeHtml(prize) });
+    return api.sendMessage(userId, text, { parse_mode: "HTML" });
+  }
+  if (broadcast.kind === "draw") {
+    const lang = await userLang(userId);
+    let text = t(lang, "broadcast_draw_card", { title: escapeHtml(draw.title), id: draw.id });
+    if (draw.endsAt) text += "\n" + t(lang, "broadcast_draw_ends", { time: formatTime(draw.endsAt) });
+    return api.sendMessage(userId, text, {
+      parse_mode: "HTML",
+      reply_markup: new InlineKeyboard().text(t(lang, "button_join"), `join:${draw.id}`),
+    });
+  }
+  return api.sendMessage(userId, broadcast.text, { parse_mode: "HTML" });
+}
+
+// Takes the oldest waiting notification, else the oldest waiting broadcast,
+// unless another instance holds it. Only one is delivered at a time across
+// instances, to stay within Telegram's limits.
+async function claimBroadcast() {
+  const oldest = (query) =>
+    safeDbOperation(() => Broadcast.findOne(query).sort({ createdAt: 1 }), null, "findOne on Broadcast");
+  const next = (await oldest(WAITING_NOTIFICATIONS)) ?? (await oldest(WAITING_BROADCASTS));
+  if (!next) return null;
+  const now = new Date();
+  return safeDbOperation(
+    () =>
+      Broadcast.findOneAndUpdate(
+        {
+          ...WAITING_BROADCASTS,
+          _id: next._id,
+          $or: [{ owner: INSTANCE_ID }, { leaseUntil: null }, { leaseUntil: { $lt: now } }],
+        },
+        { owner: INSTANCE_ID, leaseUntil: new Date(now.getTime() + BROADCAST_LEASE_MS) },
+        { new: true }
+      ),
+    null,
+    "claim Broadcast"
+  );
+}
+
+// Updates a broadcast this instance holds and renews the lease; null once the
+// lease went to another instance (or MongoDB is down)
+function updateOwnBroadcast(broadcast, update) {
+  return db.update(
+    Broadcast,
+    { _id: broadcast._id, owner: INSTANCE_ID },
+    { ...update, $set: { ...update.$set, leaseUntil: new Date(Date.now() + BROADCAST_LEASE_MS) } }
+  );
+}
+
+async function deliverBroadcast(api, broadcast) {
+  const draw = broadcast.drawId ? await db.findOne(Draw, { id: broadcast.drawId }) : null;
+  if (broadcast.status === "queued") {
+    const started = await updateOwnBroadcast(broadcast, { $set: { status: "running", startedAt: new Date() } });
+    if (!started) return;
+  }
+
+  while (broadcastTimer) {
+    const current = await updateOwnBroadcast(broadcast, {});
+    if (current?.status !== "running") return; // paused, cancelled or taken over meanwhile
+    // A reminder that would arrive after the draw closed is dropped
+    if (current.kind === "reminder" && (!draw?.active || draw.endsAt <= new Date())) {
+      await db.update(Broadcast, { _id: broadcast._id }, { status: "cancelled", finishedAt: new Date() });
+      return;
+    }
+    // Announcements step aside between batches; the cursor resumes them later
+    if (!NOTIFICATION_SETTINGS[current.kind] && (await db.count(Broadcast, WAITING_NOTIFICATIONS)) > 0) {
+      await db.update(Broadcast, { _id: broadcast._id, owner: INSTANCE_ID }, { leaseUntil: null });
+      return;
+    }
+
+    const query = await broadcastRecipients(current, current.cursor);
+    const users =
+      query &&
+      (await safeDbOperation(() => User.find(query).sort({ userId: 1 }).limit(100), null, "find on User"));
+    if (!users) return; // database down, retried on the next tick
+    if (users.length === 0) {
+      await db.update(Broadcast, { _id: broadcast._id }, { status: "done", finishedAt: new Date() });
+      return;
+    }
+
+    for (const user of users) {
+      if (!broadcastTimer) return;
+      const inc = {};
+      try {
+        await sendBroadcast(api, broadcast, draw, user.userId);
+        inc.sent = 1;
+      } catch (err) {
+        // 403: the user blocked the bot or deleted their account
+        if (err.error_code === 403) {
+          inc.blocked = 1;
+          await db.update(User, { userId: user.userId }, { blockedAt: new Date() });
+        } else {
+          inc.failed = 1;
+          console.error(`⚠️ Broadcast to ${user.userId} failed:`, err.message);
+        }
+      }
+      if (!(await updateOwnBroadcast(broadcast, { $set: { cursor: user.userId }, $inc: inc }))) return;
+      await sleep(1000 / BROADCAST_RATE);
+    }
+  }
+}
+
+async function runBroadcasts(api) {
+  if (broadcastBusy) return;
+  broadcastBusy = true;
+  try {
+    const next = await claimBroadcast();
+    if (next) await deliverBroadcast(api, next);
+  } catch (err) {
+    console.error("❌ Broadcast worker failed:", err.message);
+  } finally {
+    broadcastBusy = false;
+  }
+}
+
+// Queues a participant notification for a draw; no-op when nobody opted in
+async function queueDrawNotification(kind, draw) {
+  const query = await broadcastRecipients({ kind, drawId: draw.id });
+  const total = query ? await db.count(User, query) : 0;
+  if (total === 0) return null;
+  return db.create(Broadcast, { kind, drawId: draw.id, total });
+}
+
+// Called on every scheduler tick: reminds participants of draws closing soon
+async function queueClosingReminders() {
+  const soon = new Date(Date.now() + REMINDER_MINUTES * 60 * 1000);
+  for (;;) {
+    const draw = await db.update(
+      Draw,
+      { active: true, endsAt: { $gt: new Date(), $lte: soon }, remindedAt: null },
+      { remindedAt: new Date() }
+    );
+    if (!draw) return;
+    await queueDrawNotification("reminder", draw);
+  }
+}
+
+function startBroadcasts(api) {
+  stopBroadcasts();
+  broadcastTimer = setInterval(() => runBroadcasts(api), BROADCAST_INTERVAL_MS);
+  runBroadcasts(api);
+}
+
+function stopBroadcasts() {
+  if (broadcastTimer) clearInterval(broadcastTimer);
+  broadcastTimer = null;
+}
+
+// =============== USER SETTINGS ===============
+// Per-user toggles in the settings document (User.settings). Announcements are
+// on unless turned off; participant notifications are opt-in.
+const USER_SETTINGS = [
+  { field: "announcements", key: "settings_announcements", default: true },
+  { field: "reminders", key: "settings_reminders", default: false },
+  { field: "results", key: "settings_results", default: false },
+];
+
+function settingEnabled(user, field) {
+  return user?.settings?.[field] ?? USER_SETTINGS.find((s) => s.field === field).default;
+}
+
+function settingsKeyboard(lang, user) {
+  const keyboard = new InlineKeyboard();
+  for (const { field, key } of USER_SETTINGS) {
+    const on = settingEnabled(user, field);
+    keyboard.text(`${on ? "✅" : "❌"} ${t(lang, key)}`, `set:${field}`).row();
+  }
+  return keyboard;
+}
+
+// =============== RATE LIMITS ===============
+// Token buckets per user, and per group chat, for each class of expensive update.
+// A limit is "<burst>/<seconds>": up to burst requests at once, refilled evenly
+// over that many seconds. Override with RATE_LIMIT_<CLASS>_USER or _CHAT, e.g.
+// RATE_LIMIT_AI_USER=5/60. Admins are never limited.
+const RATE_LIMIT_DEFAULTS = {
+  ai: { user: "5/60", chat: "20/60" }, // AI chat replies
+  lists: { user: "5/30", chat: "15/30" }, // leaderboard, winners and paged lists
+  join: { user: "10/30", chat: "60/30" }, // Join buttons and /join
+};
+const RATE_BUCKET_IDLE_MS = 60 * 60 * 1000;
+
+function parseRateLimit(value) {
+  const match = String(value).match(/^(\d+)\/(\d+)$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return null;
+  return { burst: Number(match[1]), seconds: Number(match[2]) };
+}
+
+function rateLimitSetting(name, scope) {
+  const variable = `RATE_LIMIT_${name.toUpperCase()}_${scope.toUpperCase()}`;
+  const limit = process.env[variable] && parseRateLimit(process.env[variable]);
+  if (process.env[variable] && !limit) console.warn(`⚠️ Ignoring ${variable}: expected <burst>/<seconds>`);
+  return limit || parseRateLimit(RATE_LIMIT_DEFAULTS[name][scope]);
+}
+
+const RATE_LIMITS = Object.fromEntries(
+  Object.keys(RATE_LIMIT_DEFAULTS).map((name) => [
+    name,
+    { user: rateLimitSetting(name, "user"), chat: rateLimitSetting(name, "chat") },
+  ])
+);
+
+const rateBuckets = new Map(); // "ai:user:123" -> { tokens, updatedAt, warned }
+
+function refillBucket(key, { burst, seconds }) {
+  const now = Date.now();
+  if (rateBuckets.size > 10000) {
+    for (const [k, b] of rateBuckets) if (now - b.updatedAt > RATE_BUCKET_IDLE_MS) rateBuckets.delete(k);
+  }
+  const bucket = rateBuckets.get(key) ?? { tokens: burst, updatedAt: now, warned: false };
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * (burst / seconds));
+  bucket.updatedAt = now;
+  rateBuckets.set(key, bucket);
+  return bucket;
+}
+
+// Counted once per cooldown, not per dropped update, to keep writes bounded
+function recordOffence(userId) {
+  if (!isDbConnected) return;
+  User.updateOne({ userId }, { $inc: { rateLimitHits: 1 }, $set: { lastRateLimitedAt: new Date() } }).catch(
+    (err) => console.error("❌ Failed to record rate limit hit:", err.message)
+  );
+}
+
+// Takes a token from the user's (and group's) bucket. When one is empty, the
+// first refused update gets a cooldown notice and later ones are dropped quietly.
+async function checkRateLimit(ctx, name) {
+  if (!ctx.from || isAdmin(ctx)) return true;
+  const limits = RATE_LIMITS[name];
+  const buckets = [[refillBucket(`${name}:user:${ctx.from.id}`, limits.user), limits.user]];
+  if (ctx.chat && ctx.chat.type !== "private")
+    buckets.push([refillBucket(`${name}:chat:${ctx.chat.id}`, limits.chat), limits.chat]);
+
+  const empty = buckets.find(([bucket]) => bucket.tokens < 1);
+  if (!empty) {
+    for (const [bucket] of buckets) {
+      bucket.tokens -= 1;
+      bucket.warned = false;
+    }
+    return true;
+  }
+
+  const [bucket, { burst, seconds }] = empty;
+  if (bucket.warned) {
+    if (ctx.callbackQuery) await ctx.answerCallbackQuery().catch(() => {});
+    return false;
+  }
+  bucket.warned = true;
+  recordOffence(ctx.from.id);
+  const text = ctx.t("rate_limited", { seconds: Math.ceil(((1 - bucket.tokens) * seconds) / burst) });
+  if (ctx.callbackQuery) await ctx.answerCallbackQuery({ text, show_alert: true }).catch(() => {});
+  else await ctx.reply(text, { reply_to_message_id: ctx.message?.message_id }).catch(() => {});
+  return false;
+}
+
+// Handler middleware: bot.command("leaderboard", rateLimit("lists"), handler)
+function rateLimit(name) {
+  return async (ctx, next) => {
+    if (await checkRateLimit(ctx, name)) await next();
+  };
+}
+
+// Temporary bans (/tempban) live on the user registry; this mirror avoids a
+// lookup on every update and picks up other instances' bans within BAN_CACHE_MS
+const BAN_CACHE_MS = 60 * 1000;
+const tempBans = new Map(); // userId -> { until, notified }
+let bansLoadedAt = 0;
+
+async function loadTempBans(force = false) {
+  if (!force && Date.now() - bansLoadedAt < BAN_CACHE_MS) return;
+  const users = await db.find(User, { bannedUntil: { $gt: new Date() } }, null);
+  if (!users) return; // keep the last known bans while MongoDB is down
+  const previous = new Map(tempBans);
+  tempBans.clear();
+  for (const user of users) {
+    const known = previous.get(user.userId);
+    const notified = Boolean(known?.notified) && known.until.getTime() === user.bannedUntil.getTime();
+    tempBans.set(user.userId, { until: user.bannedUntil, notified });
+  }
+  bansLoadedAt = Date.now();
+}
+
+function activeBan(userId) {
+  const ban = tempBans.get(userId);
+  if (ban && ban.until <= new Date()) tempBans.delete(userId);
+  return tempBans.get(userId) ?? null;
+}
+
+// =============== FAQ ===============
+// Admin-curated answers (/faq), one question/answer pair per language. Questions
+// are matched locally by word overlap, so the common ones never reach the model;
+// everything else goes to the model with the FAQ as context.
+const FAQ_MATCH_THRESHOLD = 0.6;
+const FAQ_STOPWORDS = new Set([
+  "the", "and", "are", "can", "you", "your", "for", "does", "this", "that", "there", "please",
+  "care", "este", "sunt", "pot", "pentru", "din", "unde", "sau", "cum", "vreau", "imi", "mai",
+]);
+// Reloaded after every /faq change here, and every FAQ_CACHE_MS for changes
+// made on other instances
+const FAQ_CACHE_MS = 60 * 1000;
+let faqCache = null;
+let faqLoadedAt = 0;
+
+async function loadFaqs() {
+  if (faqCache && Date.now() - faqLoadedAt < FAQ_CACHE_MS) return faqCache;
+  const entries = await safeDbOperation(() => Faq.find({}).sort({ id: 1 }).lean(), null, "find on Faq");
+  if (!entries) return faqCache ?? [];
+  faqCache = entries;
+  faqLoadedAt = Date.now();
+  return entries;
+}
+
+// Lowercase words without diacritics or stopwords
+function faqWords(text) {
+  return new Set(
+    text
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 2 && !FAQ_STOPWORDS.has(word))
+  );
+}
+
+// Same word, or one extends the other ("draw"/"draws", "extragere"/"extragerea")
+function faqWordsMatch(a, b) {
+  if (a.length > b.length) [a, b] = [b, a];
+  return a === b || (a.length >= 4 && b.startsWith(a));
+}
+
+// Cosine similarity of the two word sets, 0..1
+function faqScore(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if ([...b].some((other) => faqWordsMatch(word, other))) shared++;
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+// Best entry for a question in any language, or null below the threshold
+function matchFaq(entries, text) {
+  const words = faqWords(text);
+  let best = null;
+  let bestScore = FAQ_MATCH_THRESHOLD;
+  for (const entry of entries) {
+    for (const { question } of entry.translations) {
+      const score = faqScore(words, faqWords(question));
+      if (score >= bestScore) [best, bestScore] = [entry, score];
+    }
+  }
+  return best;
+}
+
+// The entry in lang, else the default language, else whichever exists
+function faqTranslation(entry, lang) {
+  const find = (l) => entry.translations.find((tr) => tr.lang === l);
+  return find(lang) ?? find(DEFAULT_LANG) ?? entry.translations[0];
+}
+
+// =============== AI ASSISTANT ===============
+// The chat model sits behind a provider with one method, complete(messages, tools),
+// which resolves to an OpenAI-style assistant message ({ content, tool_calls }).
+// AI_PROVIDER=stub swaps in a local, deterministic provider that needs no API key.
+const AI_MEMORY_MESSAGES = 12; // last user/assistant messages kept per user
+const AI_MEMORY_TTL_MS = 30 * 60 * 1000;
+const AI_MAX_TOOL_ROUNDS = 3;
+
+const AI_PROVIDERS = {
+  openai: () => {
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return {
+      async complete(messages, tools) {
+        const response = await client.chat.completions.create({
+          model: AI_MODEL,
+          messages,
+          tools,
+          max_tokens: 500,
+        });
+        return response.choices[0]?.message ?? { role: "assistant", content: null };
+      },
+    };
+  },
+  // Calls the first tool whose pattern matches the user's message, then answers
+  // with the tool's raw result, so the whole tool loop runs offline
+  stub: () => {
+    const routes = [
+      [/invit|referr/i, "get_referral_count"],
+      [/join|enter/i, "join_draw"],
+      [/\bmy\b|entries|tickets/i, "get_my_entries"],
+      [/draw|giveaway/i, "list_active_draws"],
+    ];
+    return {
+      async complete(messages) {
+        const last = messages[messages.length - 1];
+        if (last.role === "tool") return { role: "assistant", content: last.content };
+        const route = routes.find(([pattern]) => pattern.test(last.content));
+        if (!route) return { role: "assistant", content: last.content };
+        return {
+          role: "assistant",
+          content: null,
+          tool_calls: [
+            { id: `stub_${Date.now()}`, type: "function", function: { name: route[1], arguments: "{}" } },
+          ],
+        };
+      },
+    };
+  },
+};
+
+// Open draws visible from this chat, optionally narrowed to one ID
+function openDrawsFor(ctx, drawId) {
+  return db.find(Draw, { active: true, ...drawScope(ctx), ...(drawId ? { id: drawId } : {}) }, []);
+}
+
+// Live data the model can ask for. run(ctx, args, turn) answers for the user who
+// wrote the message; its result is sent back to the model as JSON.
+const AI_TOOLS = {
+  list_active_draws: {
+    description: "List the draws open for entries right now and whether the user has joined each one.",
+    parameters: { type: "object", properties: {} },
+    run: async (ctx) => {
+      const draws = await openDrawsFor(ctx);
+      const entries = await db.find(
+        Participant,
+        { userId: ctx.from.id, drawId: { $in: draws.map((d) => d.id) } },
+        []
+      );
+      const joined = new Set(entries.map((e) => e.drawId));
+      return draws.map((d) => ({
+        id: d.id,
+        title: d.title,
+        description: d.description || null,
+        prizes: d.prizes.map(({ from, to, name }) => ({ from, to, name })),
+        winners: d.winnerCount || 1,
+        endsAt: d.endsAt ? formatTime(d.endsAt) : null,
+        joined: joined.has(d.id),
+      }));
+    },
+  },
+  get_my_entries: {
+    description: "List the draws the user has entered, with their status, ticket count and whether the user won.",
+    parameters: { type: "object", properties: {} },
+    run: async (ctx) => {
+      const uid = ctx.from.id;
+      const entries = await db.find(Participant, { userId: uid }, []);
+      const draws = await db.find(Draw, { id: { $in: entries.map((e) => e.drawId) } }, []);
+      const byDraw = new Map(entries.map((e) => [e.drawId, e]));
+      const result = [];
+      for (const d of draws) {
+        const tickets = d.drawnAt ? byDraw.get(d.id).tickets || 1 : (await ticketBreakdown(d, uid)).total;
+        result.push({ id: d.id, title: d.title, status: ctx.t(drawStatusKey(d)), tickets, won: d.winners.includes(uid) });
+      }
+      return result;
+    },
+  },
+  get_referral_count: {
+    description: "Count the people the user invited: confirmed referrals and ones still pending, plus their invite link.",
+    parameters: { type: "object", properties: {} },
+    run: async (ctx) => ({
+      confirmed: await db.count(Referral, { referrerId: ctx.from.id, status: "valid" }),
+      pending: await db.count(Referral, { referrerId: ctx.from.id, status: "pending" }),
+      link: `https://t.me/${ctx.me.username}?start=ref_${ctx.from.id}`,
+    }),
+  },
+  join_draw: {
+    description:
+      "Offer to join an open draw for the user. This shows them a Join button; they are only entered once they tap it.",
+    parameters: {
+      type: "object",
+      properties: { draw_id: { type: "string", description: "Draw ID; may be left out when exactly one draw is open" } },
+    },
+    run: async (ctx, { draw_id }, turn) => {
+      const draws = await openDrawsFor(ctx, draw_id);
+      if (draws.length === 0) return { error: "no open draw with that ID" };
+      if (draws.length > 1) return { error: "several draws are open; pass draw_id", ids: draws.map((d) => d.id) };
+      const [draw] = draws;
+      if (await db.findOne(Participant, { drawId: draw.id, userId: ctx.from.id }))
+        return { status: "already_joined", title: draw.title };
+      turn.joinOffers.push(draw);
+      return { status: "confirmation_button_shown", title: draw.title };
+    },
+  },
+};
+
+async function runAiTool(ctx, call, turn) {
+  const tool = AI_TOOLS[call.function.name];
+  if (!tool) return { error: `unknown tool ${call.function.name}` };
+  try {
+    return await tool.run(ctx, JSON.parse(call.function.arguments || "{}"), turn);
+  } catch (err) {
+    console.error(`⚠️ AI tool ${call.function.name} failed:`, err.message);
+    return { error: "the data is not available right now" };
+  }
+}
+
+// Short per-user memory so follow-up questions keep their context
+const aiMemory = new Map(); // userId -> { messages, updatedAt }
+
+function recallConversation(userId) {
+  const memory = aiMemory.get(userId);
+  if (!memory || Date.now() - memory.updatedAt > AI_MEMORY_TTL_MS) return [];
+  return memory.messages;
+}
+
+function rememberConversation(userId, messages) {
+  for (const [id, memory] of aiMemory) {
+    if (Date.now() - memory.updatedAt > AI_MEMORY_TTL_MS) aiMemory.delete(id);
+  }
+  aiMemory.set(userId, { messages: messages.slice(-AI_MEMORY_MESSAGES), updatedAt: Date.now() });
+}
+
+function aiSystemPrompt(lang, faqs) {
+  return `You are Competitii Lottery Bot, a specialized Telegram bot for managing giveaways and lottery competitions.
+
+ABOUT YOU:
+- Name: Competitii Lottery Bot
+- Purpose: Manage lottery draws and giveaways
+- Features: Join draws, check winners, referral system, leaderboard
+- Personality: Friendly, helpful, enthusiastic about giveaways
+
+KEY POINTS:
+- You help users participate in random draws and win prizes
+- You have commands like /join, /winners, /referrals, /leaderboard
+- You're fair, transparent, and fun
+- When asked about yourself, emphasize your role in managing competitions
+
+LIVE DATA:
+- Use the tools for anything about open draws, the user's entries, tickets or referrals. Never guess these.
+- When the user wants to join, call join_draw. It only shows a Join button, so tell them to tap it.
+
+Always identify as Competitii Lottery Bot and focus on lottery/giveaway topics. Be concise and helpful.
+Answer in ${lang === "ro" ? "Romanian" : "English"}. Format with Telegram HTML (<b>, <i>, <code>) only, never Markdown.${faqContext(faqs, lang)}`;
+}
+
+// Official answers the model must not contradict
+function faqContext(faqs, lang) {
+  if (faqs.length === 0) return "";
+  const pairs = faqs.map((entry) => {
+    const { question, answer } = faqTranslation(entry, lang);
+    return `Q: ${question}\nA: ${answer}`;
+  });
+  return `\n\nFAQ (official answers, always follow them):\n${pairs.join("\n\n")}`;
+}
+
+// One user question: answered from the FAQ when it matches, otherwise the model
+// may call tools for up to AI_MAX_TOOL_ROUNDS rounds. Returns the answer plus
+// the draws the model offered to join.
+async function askAssistant(ai, ctx, prompt) {
+  const uid = ctx.from.id;
+  const history = recallConversation(uid);
+  const faqs = await loadFaqs();
+  const faq = matchFaq(faqs, prompt);
+  if (faq) {
+    const reply = escapeHtml(faqTranslation(faq, ctx.session.lang).answer);
+    rememberConversation(uid, [...history, { role: "user", content: prompt }, { role: "assistant", content: reply }]);
+    return { reply, joinOffers: [] };
+  }
+
+  const turn = { joinOffers: [] };
+  const tools = Object.entries(AI_TOOLS).map(([name, { description, parameters }]) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+  const messages = [
+    { role: "system", content: aiSystemPrompt(ctx.session.lang, faqs) },
+    ...history,
+    { role: "user", content: prompt },
+  ];
+
+  let reply = null;
+  for (let round = 0; round <= AI_MAX_TOOL_ROUNDS; round++) {
+    const message = await ai.complete(messages, tools);
+    if (!message.tool_calls?.length) {
+      reply = message.content?.trim() || null;
+      break;
+    }
+    messages.push(message);
+    for (const call of message.tool_calls) {
+      const result = await runAiTool(ctx, call, turn);
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+
+  if (reply) {
+    rememberConversation(uid, [...history, { role: "user", content: prompt }, { role: "assistant", content: reply }]);
+  }
+  return { reply, joinOffers: turn.joinOffers };
+}
+
+// ======================================================
+// 🧠 INIT BOT LOGIC
+// ======================================================
+async function initBot() {
+  const bot = new Bot(BOT_TOKEN);
+
+  // Catch all errors
+  bot.catch((err) => console.error("Bot Error:", err));
+
+  // Delete webhook to allow polling (webhook mode registers it in startBot)
+  if (!WEBHOOK_URL) {
+    try {
+      await bot.api.deleteWebhook({ drop_pending_updates: true });
+      console.log("✅ Webhook cleared");
+    } catch (e) {
+      console.warn("⚠️ Could not clear webhook:", e.message);
+    }
+  }
+
+  bot.api.config.use(autoRetry());
+
+  bot.use(
+    session({
+      initial: () => ({}),
+      storage: sessionStorage,
+    })
+  );
+
+  // Keep the user registry current
+  bot.use(async (ctx, next) => {
+    rememberUser(ctx.from);
+    await next();
+  });
+
+  // Resolve the language once per update and expose ctx.t(key, vars)
+  bot.use(async (ctx, next) => {
+    const detected = detectLang(ctx.from?.language_code);
+    if (ctx.chat && !ctx.session.lang) {
+      ctx.session.lang = detected;
+      saveUserLang(ctx);
+    }
+    ctx.t = (key, vars) => t(ctx.chat ? ctx.session.lang : detected, key, vars);
+    await next();
+  });
+
+  // Pick up admins and bans changed by other instances
+  bot.use(async (ctx, next) => {
+    await loadAdmins();
+    await loadTempBans();
+    await next();
+  });
+
+  // Temporarily banned users get one notice, then are ignored until the ban ends.
+  // Payments still go through so a charge is never left without its tickets.
+  bot.use(async (ctx, next) => {
+    const ban = ctx.from && !isAdmin(ctx) && !ctx.message?.successful_payment && activeBan(ctx.from.id);
+    if (!ban) return next();
+    const text = ctx.t("temp_banned", { time: formatTime(ban.until) });
+    if (ctx.callbackQuery) return ctx.answerCallbackQuery({ text, show_alert: true }).catch(() => {});
+    if (ban.notified || ctx.chat?.type !== "private") return;
+    ban.notified = true;
+    await ctx.reply(text, { parse_mode: "HTML" }).catch(() => {});
+  });
+
+  // Admin commands: check the caller's role, then record the command in the
+  // audit log once it finishes. The command is found the way bot.command routes
+  // it (e.g. "/draw, 1" and "/draw@ThisBot" count, "/draw@OtherBot" doesn't),
+  // so no handler can be reached without passing this check.
+  bot.use(async (ctx, next) => {
+    const command = Object.keys(ADMIN_COMMANDS).find((name) => ctx.hasCommand(name));
+    if (!command) return next();
+    const role = ADMIN_COMMANDS[command];
+    const args = ctx.match;
+    ctx.audit = { outcome: hasRole(ctx, role) ? "ok" : "denied" };
+    try {
+      if (ctx.audit.outcome === "denied") {
+        await ctx.reply(isAdmin(ctx) ? ctx.t("admin_role_required", { role }) : ctx.t("admin_only"), {
+          parse_mode: "HTML",
+        });
+        return;
+      }
+      await next();
+    } catch (err) {
+      Object.assign(ctx.audit, { outcome: "error", error: err.message });
+      throw err;
+    } finally {
+      await recordAudit(ctx.api, {
+        actorId: ctx.from?.id,
+        command,
+        args,
+        ...ctx.audit,
+      });
+    }
+  });
+
+  // ================= USER COMMANDS =================
+  bot.command("start", async (ctx) => {
+    const uid = ctx.from.id;
+    const args = ctx.message.text.split(" ");
+    const isReferral = args[1] && args[1].startsWith("ref_");
+    const refId = isReferral ? Number(args[1].replace("ref_", "")) : null;
+
+    // Only users starting the bot for the first time can be referred
+    if (isReferral) await registerReferral(ctx.api, refId, ctx.from, new Date(ctx.message.date * 1000));
+
+    await ctx.reply(
+      `${ctx.t("welcome")}\n\n${ctx.t("start_menu")}\n\n${ctx.t("ref_link", {
+        username: ctx.me.username,
+        uid,
+      })}`,
+      { parse_mode: "HTML", reply_markup: mainKeyboard(ctx.session.lang) }
+    );
+  });
+
+  bot.callbackQuery("switch_lang", (ctx) => {
+    const current = SUPPORTED_LANGS.indexOf(ctx.session.lang);
+    ctx.session.lang = SUPPORTED_LANGS[(current + 1) % SUPPORTED_LANGS.length];
+    saveUserLang(ctx);
+    ctx.answerCallbackQuery({ text: ctx.t("lang_switched") }).catch(() => {});
+    ctx.editMessageReplyMarkup(mainKeyboard(ctx.session.lang)).catch(() => {});
+  });
+
+  // Join command
+  bot.callbackQuery("join", rateLimit("join"), async (ctx) => {
+    const open = await db.find(Draw, { active: true, ...drawScope(ctx) }, []);
+    if (open.length === 0)
+      return ctx.answerCallbackQuery({ text: ctx.t("no_active"), show_alert: true });
+
+    if (open.length > 1) {
+      ctx.answerCallbackQuery().catch(() => {});
+      return ctx.reply(ctx.t("choose_draw"), { reply_markup: drawPickerKeyboard(open) });
+    }
+
+    const result = await joinDraw(ctx.api, open[0].id, ctx.from.id);
+    await replyJoinResult(ctx, open[0].id, result);
+  });
+
+  bot.callbackQuery(/^join:(.+)$/, rateLimit("join"), async (ctx) => {
+    const result = await joinDraw(ctx.api, ctx.match[1], ctx.from.id);
+    await replyJoinResult(ctx, ctx.match[1], result);
+  });
+
+  // Most recently drawn draw, since several can finish independently
+  const latestWithWinners = () =>
+    safeDbOperation(
+      () =>
+        Draw.findOne({
+          $or: [{ "winners.0": { $exists: true } }, { "legacyWinners.0": { $exists: true } }],
+          chatId: null,
+        }).sort({ drawnAt: -1, updatedAt: -1 }),
+      null,
+      "findOne on Draw"
+    );
+
+  bot.callbackQuery(/^claim:(.+)$/, async (ctx) => {
+    const draw = await safeDbOperation(
+      () => Draw.findOne({ id: ctx.match[1] }).select("+seed"),
+      null,
+      "findOne on Draw"
+    );
+    const claim = draw?.claims.find((c) => c.userId === ctx.from.id && c.status === "pending");
+    if (!claim || claim.deadline < new Date())
+      return ctx.answerCallbackQuery({ text: ctx.t("claim_unavailable"), show_alert: true });
+
+    claim.status = "claimed";
+    claim.claimedAt = new Date();
+    await draw.save();
+    ctx.answerCallbackQuery({ text: ctx.t("claim_done") }).catch(() => {});
+    ctx
+      .editMessageText(ctx.t("claim_done_message", { title: escapeHtml(draw.title) }), { parse_mode: "HTML" })
+      .catch(() => {});
+    await updateAnnouncement(ctx.api, draw);
+    await notifyAdmins(ctx.api, "claim_done_admin", {
+      title: escapeHtml(draw.title),
+      id: draw.id,
+      userId: ctx.from.id,
+    });
+  });
+
+  bot.callbackQuery("view_winners", rateLimit("lists"), async (ctx) => {
+    const last = await latestWithWinners();
+    if (!last)
+      return ctx.answerCallbackQuery({
+        text: ctx.t("winners_none"),
+        show_alert: true,
+      });
+    const list = (await winnerLines(last)).join("\n");
+    ctx.reply(ctx.t("draw_results", { title: escapeHtml(last.title), list }), { parse_mode: "HTML" });
+  });
+
+  bot.command("join", rateLimit("join"), async (ctx) => {
+    const uid = ctx.from.id;
+    let drawId = ctx.message.text.split(" ")[1];
+
+    if (!drawId) {
+      const open = await db.find(Draw, { active: true, ...drawScope(ctx) }, []);
+      if (open.length === 0) return ctx.reply(ctx.t("no_active"));
+      if (open.length > 1)
+        return ctx.reply(ctx.t("choose_draw"), { reply_markup: drawPickerKeyboard(open) });
+      drawId = open[0].id;
+    }
+
+    const result = await joinDraw(ctx.api, drawId, uid);
+    await replyJoinResult(ctx, drawId, result);
+  });
+
+  bot.command("mytickets", rateLimit("lists"), async (ctx) => {
+    const uid = ctx.from.id;
+    const entries = await db.find(Participant, { userId: uid }, []);
+    if (entries.length === 0) return ctx.reply(ctx.t("mytickets_none"));
+
+    const draws = await safeDbOperation(
+      () => Draw.find({ id: { $in: entries.map((e) => e.drawId) } }).sort({ createdAt: -1 }),
+      [],
+      "find on Draw"
+    );
+    if (draws.length === 0) return ctx.reply(ctx.t("mytickets_none"));
+
+    const byDraw = new Map(entries.map((e) => [e.drawId, e]));
+    const lines = [];
+    for (const d of draws) {
+      // Drawn draws show the snapshot their result was computed from
+      const entry = byDraw.get(d.id);
+      let breakdown;
+      if (d.drawnAt) {
+        const paid = await paidTickets(d.id, uid);
+        const total = entry.tickets || 1;
+        breakdown = { referrals: null, bonus: total - 1 - paid, paid, total };
+      } else breakdown = await ticketBreakdown(d, uid);
+      const { referrals, bonus, paid, total } = breakdown;
+      let tickets = ctx.t("mytickets_tickets", { total });
+      if (bonus > 0 && referrals !== null)
+        tickets = ctx.t("mytickets_tickets_bonus", { total, bonus, referrals });
+      else if (bonus > 0) tickets = ctx.t("mytickets_tickets_final", { total, bonus });
+      if (paid > 0) tickets += " " + ctx.t("mytickets_paid", { paid });
+      lines.push(
+        ctx.t("mytickets_entry", { title: escapeHtml(d.title), id: d.id, status: ctx.t(drawStatusKey(d)), tickets })
+      );
+    }
+    const list = lines.join("\n");
+    ctx.reply(`${ctx.t("mytickets_title")}\n\n${list}`, { parse_mode: "HTML" });
+  });
+
+  // ================= PAID TICKETS =================
+  async function sendTicketInvoice(ctx, draw, quantity) {
+    const error = await ticketPurchaseError(draw, ctx.from.id, quantity);
+    if (error) return ctx.reply(ctx.t(error, { id: draw?.id, cap: draw?.maxPaidTickets }));
+    await ctx.replyWithInvoice(
+      ctx.t("buy_invoice_title", { title: draw.title }).slice(0, 32),
+      ctx.t("buy_invoice_description", { quantity, title: draw.title }).slice(0, 255),
+      `tickets:${draw.id}:${quantity}`,
+      "XTR",
+      [{ label: ctx.t("buy_invoice_label", { quantity }), amount: draw.ticketPrice * quantity }]
+    );
+  }
+
+  // /buy [drawId] [quantity]: pay for extra tickets in Telegram Stars
+  bot.command("buy", async (ctx) => {
+    const [drawId, quantityArg] = ctx.message.text.split(" ").slice(1);
+    const quantity = quantityArg ? Number(quantityArg) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100)
+      return ctx.reply(ctx.t("buy_usage"), { parse_mode: "HTML" });
+    if (drawId) return sendTicketInvoice(ctx, await db.findOne(Draw, { id: drawId }), quantity);
+
+    const forSale = await db.find(Draw, { active: true, ticketPrice: { $gt: 0 } }, []);
+    if (forSale.length === 0) return ctx.reply(ctx.t("buy_none"));
+    if (forSale.length === 1) return sendTicketInvoice(ctx, forSale[0], 1);
+    ctx.reply(ctx.t("buy_choose_draw"), { reply_markup: drawPickerKeyboard(forSale, "buy") });
+  });
+
+  bot.callbackQuery(/^buy:(.+)$/, async (ctx) => {
+    ctx.answerCallbackQuery().catch(() => {});
+    await sendTicketInvoice(ctx, await db.findOne(Draw, { id: ctx.match[1] }), 1);
+  });
+
+  // Telegram asks before charging: the draw may have closed or the cap been reached since the invoice
+  bot.on("pre_checkout_query", async (ctx) => {
+    const query = ctx.preCheckoutQuery;
+    const match = query.invoice_payload.match(TICKET_PAYLOAD);
+    const draw = match && (await db.findOne(Draw, { id: match[1] }));
+    const quantity = Number(match?.[2]);
+    let error = match ? await ticketPurchaseError(draw, ctx.from.id, quantity) : "buy_not_open";
+    if (!error && (query.currency !== "XTR" || query.total_amount !== draw.ticketPrice * quantity))
+      error = "buy_price_changed";
+    if (error) {
+      return ctx.answerPreCheckoutQuery(false, {
+        error_message: ctx.t(error, { id: draw?.id, cap: draw?.maxPaidTickets }),
+      });
+    }
+    await ctx.answerPreCheckoutQuery(true);
+  });
+
+  bot.on("message:successful_payment", async (ctx) => {
+    const payment = ctx.message.successful_payment;
+    const match = payment.invoice_payload.match(TICKET_PAYLOAD);
+    if (!match) return;
+    const [, drawId, quantity] = match;
+    const chargeId = payment.telegram_payment_charge_id;
+
+    const ticket = await db.create(Ticket, {
+      drawId,
+      userId: ctx.from.id,
+      quantity: Number(quantity),
+      stars: payment.total_amount,
+      chargeId,
+    });
+    const draw = await db.findOne(Draw, { id: drawId });
+    // Not recorded, or the draw closed between checkout and payment: give the Stars back
+    if (!ticket || !draw?.active) {
+      try {
+        await ctx.api.refundStarPayment(ctx.from.id, chargeId);
+        if (ticket) await db.update(Ticket, { _id: ticket._id }, { status: "refunded", refundedAt: new Date() });
+      } catch (err) {
+        console.error(`❌ Refund of ${chargeId} failed:`, err.message);
+        if (ticket) await db.update(Ticket, { _id: ticket._id }, { status: "refund_failed", error: err.message });
+      }
+      return ctx.reply(ctx.t("buy_refunded"));
+    }
+
+    const { total } = await ticketBreakdown(draw, ctx.from.id);
+    ctx.reply(ctx.t("buy_done", { quantity, title: escapeHtml(draw.title), total }), { parse_mode: "HTML" });
+  });
+
+  bot.command("winners", rateLimit("lists"), async (ctx) => {
+    const last = await latestWithWinners();
+    if (!last) return ctx.reply(ctx.t("winners_none"));
+    const list = (await winnerLines(last)).join("\n");
+    ctx.reply(ctx.t("draw_results", { title: escapeHtml(last.title), list }), { parse_mode: "HTML" });
+  });
+
+  // General rules, then each open draw's own requirements
+  bot.command("rules", rateLimit("lists"), async (ctx) => {
+    const open = await db.find(Draw, { active: true, ...drawScope(ctx) }, []);
+    const sections = open.map((draw) =>
+      ctx.t("rules_draw", {
+        title: escapeHtml(draw.title),
+        id: draw.id,
+        requirements: drawRequirements(ctx.session.lang, draw),
+      })
+    );
+    ctx.reply([ctx.t("rules"), ...sections].join("\n\n"), { parse_mode: "HTML" });
+  });
+  bot.command("settings", async (ctx) => {
+    const user = await db.findOne(User, { userId: ctx.from.id });
+    ctx.reply(ctx.t("settings_title"), {
+      parse_mode: "HTML",
+      reply_markup: settingsKeyboard(ctx.session.lang, user),
+    });
+  });
+
+  bot.callbackQuery(/^set:(\w+)$/, async (ctx) => {
+    const field = ctx.match[1];
+    if (!USER_SETTINGS.some((s) => s.field === field)) return ctx.answerCallbackQuery();
+    const user = await db.findOne(User, { userId: ctx.from.id });
+    const updated = await db.update(
+      User,
+      { userId: ctx.from.id },
+      { [`settings.${field}`]: !settingEnabled(user, field) }
+    );
+    if (!updated) return ctx.answerCallbackQuery({ text: ctx.t("db_unavailable"), show_alert: true });
+    ctx.answerCallbackQuery({ text: ctx.t("settings_saved") }).catch(() => {});
+    ctx.editMessageReplyMarkup({ reply_markup: settingsKeyboard(ctx.session.lang, updated) }).catch(() => {});
+  });
+
+  bot.command("about", (ctx) =>
+    ctx.reply(ctx.t("about", { channel: CHANNEL_USERNAME }), { parse_mode: "HTML" })
+  );
+
+  // Public verification of a draw's commitment and winners
+  bot.command("verify", async (ctx) => {
+    const drawId = ctx.message.text.split(" ")[1];
+    if (!drawId) return ctx.reply(ctx.t("verify_usage"), { parse_mode: "HTML" });
+    const draw = await safeDbOperation(
+      () => Draw.findOne({ id: drawId }).select("+seed"),
+      null,
+      "findOne on Draw"
+    );
+    if (!draw) return ctx.reply(ctx.t("verify_not_found"), { parse_mode: "HTML" });
+    if (!draw.seedHash) return ctx.reply(ctx.t("verify_no_commitment"), { parse_mode: "HTML" });
+    if (!draw.drawnAt) {
+      return ctx.reply(
+        ctx.t("verify_pending", { title: escapeHtml(draw.title), id: draw.id, hash: draw.seedHash }),
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const entries = await db.find(Participant, { drawId: draw.id }, []);
+    const { participantsHash, winners } = pickWinners(
+      draw.seed,
+      entries,
+      draw.winnerCount,
+      draw.excludedIds
+    );
+
+    const check = (ok) => (ok ? "✅" : "❌");
+    ctx.reply(
+      ctx.t("verify_report", {
+        title: escapeHtml(draw.title),
+        id: draw.id,
+        seedHash: draw.seedHash,
+        seed: draw.seed,
+        seedCheck: check(sha256(draw.seed) === draw.seedHash),
+        participantCount: entries.length,
+        participantsHash,
+        participantsCheck: check(participantsHash === draw.participantsHash),
+        winners: winners.join("\n") || "-",
+        excluded: draw.excludedIds.join(", ") || "-",
+        // Replacement winners inherit the vacated slot, so compare as sets
+        winnersCheck: check(
+          [...winners].sort((a, b) => a - b).join(",") ===
+            [...draw.winners].sort((a, b) => a - b).join(",")
+        ),
+      }),
+      { parse_mode: "HTML" }
+    );
+  });
+
+  // ================= REFERRALS =================
+  bot.command("referrals", rateLimit("lists"), async (ctx) => {
+    const uid = ctx.from.id;
+    const count = await db.count(Referral, { referrerId: uid, status: "valid" });
+    const pending = await db.count(Referral, { referrerId: uid, status: "pending" });
+    if (count === 0)
+      return ctx.reply(ctx.t("no_referrals", { username: ctx.me.username, uid, pending }), {
+        parse_mode: "HTML",
+      });
+
+    delete ctx.session.searches?.[`referrals:${uid}`];
+    await sendPage(ctx, "referrals", uid);
+  });
+
+  bot.command("leaderboard", rateLimit("lists"), async (ctx) => {
+    const leaders = await db.aggregate(Referral, [
+      { $match: { status: "valid" } },
+      { $group: { _id: "$referrerId", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+    ], []);
+
+    if (leaders.length === 0) return ctx.reply(ctx.t("leaderboard_empty"), { parse_mode: "HTML" });
+
+    const users = await findUsers(leaders.map((entry) => entry._id));
+    let msg = `${ctx.t("leaderboard_title")}\n\n`;
+    for (let i = 0; i < leaders.length; i++) {
+      const entry = leaders[i];
+      const user = users.get(entry._id);
+      let name = ctx.t("user_fallback_name", { id: entry._id });
+      if (user?.username) name = "@" + user.username;
+      else if (user?.firstName) name = escapeHtml(user.firstName);
+      msg += ctx.t("leaderboard_entry", { rank: i + 1, name, count: entry.count }) + "\n";
+    }
+    ctx.reply(msg, { parse_mode: "HTML" });
+  });
+
+  // ================= PAGINATED LISTS =================
+  bot.callbackQuery(/^pg:(\w+):([^:]+):(\d+)$/, rateLimit("lists"), async (ctx) => {
+    const [, name, key, page] = ctx.match;
+    if (!LISTS[name]?.canView(ctx, key))
+      return ctx.answerCallbackQuery({ text: ctx.t("admin_only"), show_alert: true });
+    ctx.answerCallbackQuery().catch(() => {});
+    await sendPage(ctx, name, key, Number(page));
+  });
+
+  // Search: the next text message in this chat becomes the query
+  bot.callbackQuery(/^pgq:(\w+):([^:]+)$/, async (ctx) => {
+    const [, name, key] = ctx.match;
+    if (!LISTS[name]?.canView(ctx, key))
+      return ctx.answerCallbackQuery({ text: ctx.t("admin_only"), show_alert: true });
+    ctx.session.pendingSearch = { name, key };
+    ctx.answerCallbackQuery().catch(() => {});
+    await ctx.reply(ctx.t("page_search_prompt"), { parse_mode: "HTML" });
+  });
+
+  bot.callbackQuery(/^pgx:(\w+):([^:]+)$/, async (ctx) => {
+    const [, name, key] = ctx.match;
+    if (!LISTS[name]?.canView(ctx, key))
+      return ctx.answerCallbackQuery({ text: ctx.t("admin_only"), show_alert: true });
+    delete ctx.session.searches?.[`${name}:${key}`];
+    ctx.answerCallbackQuery().catch(() => {});
+    await sendPage(ctx, name, key);
+  });
+
+  bot.on("message:text", async (ctx, next) => {
+    const pending = ctx.session.pendingSearch;
+    if (!pending) return next();
+    delete ctx.session.pendingSearch;
+    // Any command abandons the search prompt
+    if (ctx.message.text.startsWith("/")) return next();
+
+    ctx.session.searches = {
+      ...ctx.session.searches,
+      [`${pending.name}:${pending.key}`]: ctx.message.text.trim().slice(0, 64),
+    };
+    await sendPage(ctx, pending.name, pending.key);
+  });
+
+  // Per-row participant actions. Entries are frozen once winners are drawn,
+  // since /verify recomputes the result from them; use /disqualify instead.
+  bot.callbackQuery(/^(prm|pban):([^:]+):(\d+):(\d+)$/, async (ctx) => {
+    if (!hasRole(ctx, "operator")) return ctx.answerCallbackQuery({ text: ctx.t("admin_only"), show_alert: true });
+    const [, action, drawId, rawUserId, page] = ctx.match;
+    const userId = Number(rawUserId);
+    const draw = await db.findOne(Draw, { id: drawId });
+    if (!draw) return ctx.answerCallbackQuery({ text: ctx.t("verify_not_found"), show_alert: true });
+    if (draw.drawnAt)
+      return ctx.answerCallbackQuery({ text: ctx.t("participant_locked"), show_alert: true });
+
+    await safeDbOperation(
+      () => Participant.deleteOne({ drawId, userId }),
+      null,
+      "deleteOne on Participant"
+    );
+    if (action === "pban") await db.update(Draw, { id: drawId }, { $addToSet: { bannedIds: userId } });
+    await recordAudit(ctx.api, {
+      actorId: ctx.from.id,
+      command: action === "pban" ? "participants.ban" : "participants.remove",
+      args: String(userId),
+      drawId,
+      outcome: "ok",
+    });
+
+    ctx.answerCallbackQuery({
+      text: ctx.t(action === "pban" ? "participant_banned" : "participant_removed", { id: userId }),
+    }).catch(() => {});
+    await sendPage(ctx, "participants", drawId, Number(page));
+  });
+
+  // /giveaway <title> [| <duration> | <winners>] runs a draw inside the current group
+  bot.command("giveaway", async (ctx) => {
+    if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup")
+      return ctx.reply(ctx.t("giveaway_group_only"), { parse_mode: "HTML" });
+    const member = await ctx.getChatMember(ctx.from.id).catch(() => null);
+    if (!["creator", "administrator"].includes(member?.status))
+      return ctx.reply(ctx.t("giveaway_admins_only"), { parse_mode: "HTML" });
+
+    const [title, durationRaw, winnersRaw] = ctx.message.text
+      .split(" ")
+      .slice(1)
+      .join(" ")
+      .split("|")
+      .map((part) => part.trim());
+    const minutes = durationRaw ? parseDuration(durationRaw) : GIVEAWAY_DEFAULT_MINUTES;
+    const winnerCount = winnersRaw ? Number(winnersRaw) : 1;
+    if (!title || !minutes || !(winnerCount >= 1))
+      return ctx.reply(ctx.t("giveaway_usage"), { parse_mode: "HTML" });
+
+    const id = Date.now().toString();
+    const seed = newSeed();
+    const draw = await db.create(Draw, {
+      id,
+      title,
+      chatId: ctx.chat.id,
+      lang: ctx.session.lang,
+      active: true,
+      startsAt: new Date(),
+      endsAt: new Date(Date.now() + minutes * 60 * 1000),
+      winnerCount,
+      winners: [],
+      seed,
+      seedHash: sha256(seed),
+      committedAt: new Date(),
+    });
+    if (!draw) return ctx.reply(ctx.t("db_unavailable"), { parse_mode: "HTML" });
+
+    // Only schedule the draw once its card is up; without one nobody can join
+    const { text, reply_markup } = giveawayCard(draw, 0);
+    let card;
+    try {
+      card = await ctx.reply(text, { parse_mode: "HTML", reply_markup });
+    } catch (err) {
+      await db.update(Draw, { id }, { active: false, closedAt: new Date() });
+      throw err;
+    }
+    await db.update(Draw, { id }, { messageId: card.message_id });
+    await db.create(ScheduledJob, { type: "draw", drawId: id, runAt: draw.endsAt });
+  });
+
+  // ================= ADMIN COMMANDS =================
+  // Creates a draw from the quick form or the wizard and tells the admin
+  async function startNewDraw(ctx, fields) {
+    const { title, startsAt, endsAt, winnerCount } = fields;
+    const id = Date.now().toString();
+    const seed = newSeed();
+    const seedHash = sha256(seed);
+    const scheduled = startsAt > new Date();
+    const draw = await db.create(Draw, {
+      ...fields,
+      id,
+      active: !scheduled,
+      scheduled,
+      winners: [],
+      seed,
+      seedHash,
+      committedAt: new Date(),
+    });
+    if (!draw) return rejectCommand(ctx, "db_unavailable");
+    if (ctx.audit) ctx.audit.drawId = id;
+
+    if (scheduled) await db.create(ScheduledJob, { type: "open", drawId: id, runAt: startsAt });
+    if (endsAt) await db.create(ScheduledJob, { type: "draw", drawId: id, runAt: endsAt });
+
+    let reply = ctx.t("new_draw_started", { title, id, hash: seedHash });
+    if (scheduled) reply += "\n" + ctx.t("new_draw_opens", { time: formatTime(startsAt) });
+    if (endsAt)
+      reply += "\n" + ctx.t("new_draw_ends", { time: formatTime(endsAt), count: winnerCount });
+    ctx.reply(reply, {
+      parse_mode: "HTML",
+      reply_markup: scheduled
+        ? undefined
+        : new InlineKeyboard().text(ctx.t("button_broadcast_draw"), `bcdraw:${id}`),
+    });
+
+    if (!scheduled) await announceDraw(bot.api, draw, "new_draw_announce");
+  }
+
+  // /newdraw starts the wizard; /newdraw <title> [| <start> | <end> | <winners>] is the quick form
+  bot.command("newdraw", async (ctx) => {
+    const [title, startRaw, endRaw, winnersRaw] = ctx.message.text
+      .split(" ")
+      .slice(1)
+      .join(" ")
+      .split("|")
+      .map((part) => part.trim());
+    if (!title) {
+      ctx.session.wizard = { adminId: ctx.from.id, step: 0, data: {} };
+      return askWizardStep(ctx);
+    }
+
+    const startsAt = startRaw ? parseTime(startRaw) : new Date();
+    const endsAt = endRaw ? parseTime(endRaw) : null;
+    const winnerCount = winnersRaw ? Number(winnersRaw) : 1;
+    if (!startsAt || (endRaw && !endsAt) || !(winnerCount >= 1))
+      return rejectCommand(ctx, "new_draw_usage");
+    if (endsAt && (endsAt <= startsAt || endsAt <= new Date()))
+      return rejectCommand(ctx, "schedule_bad_window");
+
+    await startNewDraw(ctx, { title, startsAt, endsAt, winnerCount });
+  });
+
+  // ----- /newdraw wizard: one step per message, kept in the admin's session -----
+  async function askWizardStep(ctx) {
+    const { step } = ctx.session.wizard;
+    const { name, optional } = WIZARD_STEPS[step];
+    const keyboard = new InlineKeyboard();
+    if (optional) keyboard.text(ctx.t("wizard_skip"), "wiz:skip");
+    keyboard.text(ctx.t("wizard_cancel"), "wiz:cancel");
+    await ctx.reply(
+      ctx.t(`wizard_${name}_prompt`, { step: step + 1, steps: WIZARD_STEPS.length }),
+      { parse_mode: "HTML", reply_markup: keyboard }
+    );
+  }
+
+  async function nextWizardStep(ctx) {
+    const wizard = ctx.session.wizard;
+    wizard.step += 1;
+    if (wizard.step < WIZARD_STEPS.length) return askWizardStep(ctx);
+
+    const lang = ctx.session.lang;
+    if (wizard.data.banner) await ctx.replyWithPhoto(wizard.data.banner).catch(() => {});
+    const preview = ctx.t("wizard_preview", { title: escapeHtml(wizard.data.title) });
+    await ctx.reply(`${preview}\n\n${drawDetails(lang, wizard.data)}`, {
+      parse_mode: "HTML",
+      reply_markup: new InlineKeyboard()
+        .text(ctx.t("wizard_confirm"), "wiz:confirm")
+        .text(ctx.t("wizard_cancel"), "wiz:cancel"),
+    });
+  }
+
+  bot.on("message", async (ctx, next) => {
+    const wizard = ctx.session.wizard;
+    if (!wizard || wizard.adminId !== ctx.from?.id || ctx.message.text?.startsWith("/")) return next();
+    if (wizard.step >= WIZARD_STEPS.length) return ctx.reply(ctx.t("wizard_use_buttons"));
+
+    const { name, parse } = WIZARD_STEPS[wizard.step];
+    const values = parse(ctx.message);
+    if (!values) return ctx.reply(ctx.t(`wizard_${name}_invalid`), { parse_mode: "HTML" });
+    Object.assign(wizard.data, values);
+    await nextWizardStep(ctx);
+  });
+
+  bot.callbackQuery(/^wiz:(skip|cancel|confirm)$/, async (ctx) => {
+    const wizard = ctx.session.wizard;
+    if (!wizard || wizard.adminId !== ctx.from.id || !hasRole(ctx, "operator"))
+      return ctx.answerCallbackQuery({ text: ctx.t("wizard_expired"), show_alert: true });
+    ctx.answerCallbackQuery().catch(() => {});
+    ctx.editMessageReplyMarkup({ reply_markup: undefined }).catch(() => {});
+
+    const action = ctx.match[1];
+    if (action === "cancel") {
+      delete ctx.session.wizard;
+      return ctx.reply(ctx.t("wizard_cancelled"));
+    }
+    if (action === "skip") {
+      if (!WIZARD_STEPS[wizard.step]?.optional) return;
+      return nextWizardStep(ctx);
+    }
+
+    // confirm
+    if (wizard.step < WIZARD_STEPS.length) return;
+    delete ctx.session.wizard;
+    const { data } = wizard;
+    const endsAt = data.endsAt ? new Date(data.endsAt) : null;
+    if (endsAt && endsAt <= new Date()) return ctx.reply(ctx.t("schedule_bad_window"), { parse_mode: "HTML" });
+    ctx.audit = { outcome: "ok" };
+    await startNewDraw(ctx, {
+      ...data,
+      prizes: data.prizes ?? [],
+      winnerCount: data.winnerCount ?? 1,
+      startsAt: new Date(),
+      endsAt,
+    });
+    await recordAudit(ctx.api, {
+      actorId: ctx.from.id,
+      command: "newdraw.wizard",
+      args: data.title,
+      ...ctx.audit,
+    });
+  });
+
+  bot.command("closedraw", async (ctx) => {
+    const drawId = ctx.message.text.split(" ")[1];
+    const active = await resolveDraw(ctx, drawId, { active: true }, "no_active_admin");
+    if (!active) return;
+    await closeDraw(active);
+    ctx.reply(ctx.t("closed_draw", { title: escapeHtml(active.title), count: active.closedParticipantCount }), {
+      parse_mode: "HTML",
+    });
+  });
+
+  // /canceldraw <drawId>: stop a draw that has no winners yet and refund paid tickets.
+  // Run it again on a cancelled draw to retry failed refunds.
+  bot.command("canceldraw", async (ctx) => {
+    const drawId = ctx.message.text.split(" ")[1];
+    if (!drawId) return rejectCommand(ctx, "canceldraw_usage");
+    const draw = await db.findOne(Draw, { id: drawId, drawnAt: null });
+    if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: drawId });
+    ctx.audit.drawId = draw.id;
+
+    if (!draw.cancelledAt) {
+      draw.active = false;
+      draw.scheduled = false;
+      draw.cancelledAt = new Date();
+      await draw.save();
+      await safeDbOperation(
+        () => ScheduledJob.updateMany({ drawId: draw.id, status: "pending" }, { status: "cancelled" }),
+        null,
+        "cancel ScheduledJob"
+      );
+      await postToChannel(bot.api, t(CHANNEL_LANG, "draw_cancelled_announce", { title: escapeHtml(draw.title) }));
+    }
+
+    const { refunded, failed } = await refundTickets(ctx.api, draw);
+    if (failed > 0) ctx.audit.outcome = "error";
+    ctx.reply(ctx.t("canceldraw_done", { title: escapeHtml(draw.title), refunded, failed }), { parse_mode: "HTML" });
+  });
+
+  // /revenue [drawId]: Stars taken and refunded, per draw
+  bot.command("revenue", async (ctx) => {
+    const drawId = ctx.message.text.split(" ")[1];
+    if (drawId) ctx.audit.drawId = drawId;
+    const rows = await db.aggregate(Ticket, [
+      { $match: drawId ? { drawId } : {} },
+      {
+        $group: {
+          _id: { drawId: "$drawId", status: "$status" },
+          stars: { $sum: "$stars" },
+          tickets: { $sum: "$quantity" },
+        },
+      },
+    ], []);
+    if (rows.length === 0) return ctx.reply(ctx.t("revenue_none"), { parse_mode: "HTML" });
+
+    const byDraw = new Map();
+    const totals = { paid: 0, tickets: 0, refunded: 0, failed: 0 };
+    for (const { _id, stars, tickets } of rows) {
+      const sums = byDraw.get(_id.drawId) || { paid: 0, tickets: 0, refunded: 0, failed: 0 };
+      if (_id.status === "paid") {
+        sums.paid += stars;
+        sums.tickets += tickets;
+      } else if (_id.status === "refunded") sums.refunded += stars;
+      else sums.failed += stars;
+      byDraw.set(_id.drawId, sums);
+    }
+    const draws = await db.find(Draw, { id: { $in: [...byDraw.keys()] } }, []);
+    const titles = new Map(draws.map((d) => [d.id, d.title]));
+    const lines = [...byDraw].map(([id, sums]) => {
+      for (const key in totals) totals[key] += sums[key];
+      return ctx.t("revenue_entry", { id, title: escapeHtml(titles.get(id) || id), ...sums });
+    });
+    ctx.reply(
+      `${ctx.t("revenue_title")}\n\n${lines.join("\n\n")}\n\n${ctx.t("revenue_total", totals)}`,
+      { parse_mode: "HTML" }
+    );
+  });
+
+  bot.command("draw", async (ctx) => {
+    // /draw <drawId> [count]; the ID may be left out when only one draw is waiting.
+    // Anything but a small number is an ID, so a mistyped or finished draw's ID
+    // is reported instead of being read as the winner count of another draw.
+    const parts = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const isCount = (part) => /^\d+$/.test(part) && Number(part) <= DRAW_MAX_WINNERS;
+    const drawId = parts[0] && !isCount(parts[0]) ? parts.shift() : undefined;
+    const pending = { active: false, scheduled: { $ne: true }, drawnAt: null, cancelledAt: null };
+    const target = await resolveDraw(ctx, drawId, pending, "draw_none_closed", "+seed");
+    if (!target) return;
+
+    let count = target.winnerCount || 1;
+    if (parts[0]) {
+      const entries = await db.count(Participant, { drawId: target.id }, null);
+      if (entries === null) return rejectCommand(ctx, "db_unavailable");
+      const max = Math.min(Math.max(entries, 1), DRAW_MAX_WINNERS);
+      count = Number(parts[0]);
+      if (!isCount(parts[0]) || count < 1 || count > max) return rejectCommand(ctx, "draw_bad_count", { max });
+    }
+
+    const result = await runDraw(bot.api, target, count);
+    if (result.status === "no_participants")
+      return rejectCommand(ctx, "draw_no_part");
+    if (result.status === "unavailable") return rejectCommand(ctx, "db_unavailable");
+    if (result.status === "failed") {
+      Object.assign(ctx.audit, { outcome: "error", error: "result could not be saved or queued" });
+      return ctx.reply(ctx.t("draw_result_failed", { title: escapeHtml(target.title), id: target.id }), {
+        parse_mode: "HTML",
+      });
+    }
+
+    // The scheduled draw job is no longer needed
+    await safeDbOperation(
+      () =>
+        ScheduledJob.updateMany(
+          { drawId: target.id, type: "draw", status: "pending" },
+          { status: "cancelled" }
+        ),
+      null,
+      "cancel ScheduledJob"
+    );
+    if (result.status === "pending")
+      return ctx.reply(ctx.t("draw_result_pending", { title: escapeHtml(target.title), id: target.id }), {
+        parse_mode: "HTML",
+      });
+    ctx.reply(await drawResultsMessage(ctx.session.lang, target), { parse_mode: "HTML" });
+  });
+
+  // Per-draw settings: /setdraw <drawId> [<setting> <values...>]
+  bot.command("setdraw", async (ctx) => {
+    const [drawId, setting, ...values] = ctx.message.text.split(" ").slice(1);
+    if (!drawId) return rejectCommand(ctx, "setdraw_usage");
+    const draw = await db.findOne(Draw, { id: drawId });
+    if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: drawId });
+    ctx.audit.drawId = draw.id;
+
+    if (setting) {
+      if (draw.drawnAt) return rejectCommand(ctx, "setdraw_already_drawn");
+      const apply = DRAW_SETTINGS[setting];
+      if (!apply || !apply(draw, values))
+        return rejectCommand(ctx, "setdraw_usage");
+      await draw.save();
+    }
+
+    ctx.reply(drawSettingsSummary(ctx.session.lang, draw), { parse_mode: "HTML" });
+  });
+
+  // /export <drawId> [csv|json] | /export winners <drawId> [csv|json] | /export referrals [csv|json]
+  bot.command("export", async (ctx) => {
+    const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const format = EXPORT_FORMATS.includes(args[args.length - 1]) ? args.pop() : "csv";
+    const kind = ["winners", "referrals"].includes(args[0]) ? args.shift() : "participants";
+    const drawId = args[0];
+    if (kind !== "referrals" && !drawId) return rejectCommand(ctx, "export_usage");
+    if (!(await checkDbHealth())) return rejectCommand(ctx, "db_unavailable");
+
+    let draw = null;
+    if (kind !== "referrals") {
+      draw = await db.findOne(Draw, { id: drawId });
+      if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: drawId });
+      ctx.audit.drawId = draw.id;
+    }
+
+    const filename = `${kind}${draw ? `-${draw.id}` : ""}.${format}`;
+    const filePath = path.join(os.tmpdir(), `competitii-${Date.now()}-${filename}`);
+    try {
+      await ctx.replyWithChatAction("upload_document");
+      await writeExport(filePath, EXPORTS[kind].rows(draw), EXPORTS[kind].columns, format);
+      await ctx.replyWithDocument(new InputFile(filePath, filename), {
+        caption: ctx.t("export_caption", { kind, title: draw?.title ?? "-" }),
+      });
+    } catch (err) {
+      console.error(`❌ Export of ${filename} failed:`, err.message);
+      Object.assign(ctx.audit, { outcome: "error", error: err.message });
+      ctx.reply(ctx.t("export_failed"));
+    } finally {
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  });
+
+  // /reroll <drawId> <userId>: give a winner's prize to the next eligible participant
+  bot.command("reroll", async (ctx) => {
+    const [drawId, userArg] = ctx.message.text.split(" ").slice(1);
+    const userId = Number(userArg);
+    if (!drawId || !userId) return rejectCommand(ctx, "reroll_usage");
+    const draw = await safeDbOperation(
+      () => Draw.findOne({ id: drawId, drawnAt: { $ne: null } }).select("+seed"),
+      null,
+      "findOne on Draw"
+    );
+    if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: drawId });
+    ctx.audit.drawId = draw.id;
+    if (!draw.winners.includes(userId))
+      return rejectCommand(ctx, "reroll_not_winner", { userId });
+
+    const replacement = await replaceWinner(ctx.api, draw, userId, "rerolled");
+    ctx.reply(ctx.t("winner_replaced", { userId, replacement: replacement ?? "-" }), {
+      parse_mode: "HTML",
+    });
+  });
+
+  // /disqualify <drawId> <userId>: the user can't win this draw; a current winner is replaced
+  bot.command("disqualify", async (ctx) => {
+    const [drawId, userArg] = ctx.message.text.split(" ").slice(1);
+    const userId = Number(userArg);
+    if (!drawId || !userId) return rejectCommand(ctx, "disqualify_usage");
+    const draw = await safeDbOperation(
+      () => Draw.findOne({ id: drawId }).select("+seed"),
+      null,
+      "findOne on Draw"
+    );
+    if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: drawId });
+    ctx.audit.drawId = draw.id;
+
+    if (draw.winners.includes(userId)) {
+      const replacement = await replaceWinner(ctx.api, draw, userId, "disqualified");
+      return ctx.reply(ctx.t("winner_replaced", { userId, replacement: replacement ?? "-" }), {
+        parse_mode: "HTML",
+      });
+    }
+
+    if (!draw.excludedIds.includes(userId)) {
+      draw.excludedIds.push(userId);
+      await draw.save();
+    }
+    ctx.reply(ctx.t("disqualify_done", { userId, title: escapeHtml(draw.title) }), { parse_mode: "HTML" });
+  });
+
+  // Invalidate every referral made by, or made for, a user
+  bot.command("invalidate", async (ctx) => {
+    const userId = Number(ctx.message.text.split(" ")[1]);
+    if (!userId) return rejectCommand(ctx, "invalidate_usage");
+    const result = await safeDbOperation(
+      () =>
+        Referral.updateMany(
+          { $or: [{ referrerId: userId }, { referredId: userId }], status: { $ne: "invalid" } },
+          { status: "invalid", reason: "admin" }
+        ),
+      null,
+      "updateMany on Referral"
+    );
+    if (!result) return rejectCommand(ctx, "db_unavailable");
+    ctx.reply(ctx.t("invalidate_done", { id: userId, count: result.modifiedCount }), {
+      parse_mode: "HTML",
+    });
+  });
+
+  bot.command("schedule", async (ctx) => {
+    // /schedule | /schedule cancel <jobId> | /schedule move <jobId> <time>
+    const [action, jobId, ...rest] = ctx.message.text.split(" ").slice(1);
+
+    if (!action) {
+      const jobs = await safeDbOperation(
+        () => ScheduledJob.find({ status: "pending" }).sort({ runAt: 1 }).limit(30),
+        [],
+        "find on ScheduledJob"
+      );
+      if (jobs.length === 0) return ctx.reply(ctx.t("schedule_empty"), { parse_mode: "HTML" });
+      const draws = await db.find(Draw, { id: { $in: jobs.map((j) => j.drawId) } }, []);
+      const titles = new Map(draws.map((d) => [d.id, d.title]));
+      const list = jobs
+        .map((job) =>
+          ctx.t("schedule_entry", {
+            jobId: job._id,
+            type: ctx.t(`schedule_type_${job.type}`),
+            title: escapeHtml(titles.get(job.drawId) || job.drawId),
+            time: formatTime(job.runAt),
+          })
+        )
+        .join("\n");
+      return ctx.reply(`${ctx.t("schedule_title")}\n\n${list}`, { parse_mode: "HTML" });
+    }
+
+    if (!["cancel", "move"].includes(action) || !mongoose.isValidObjectId(jobId))
+      return rejectCommand(ctx, "schedule_usage");
+    const job = await db.findOne(ScheduledJob, { _id: jobId, status: "pending" });
+    if (!job) return rejectCommand(ctx, "schedule_not_found");
+    ctx.audit.drawId = job.drawId;
+
+    if (action === "cancel") {
+      job.status = "cancelled";
+      await job.save();
+      return ctx.reply(ctx.t("schedule_cancelled", { jobId }), { parse_mode: "HTML" });
+    }
+
+    const runAt = parseTime(rest.join(" "));
+    if (!runAt || runAt <= new Date())
+      return rejectCommand(ctx, "schedule_usage");
+    const draw = await db.findOne(Draw, { id: job.drawId });
+    if (!draw) return rejectCommand(ctx, "schedule_not_found");
+    if (job.type === "draw" && draw.scheduled && draw.startsAt && runAt <= draw.startsAt)
+      return rejectCommand(ctx, "schedule_bad_window");
+    if (job.type === "open" && draw.endsAt && runAt >= draw.endsAt)
+      return rejectCommand(ctx, "schedule_bad_window");
+
+    job.runAt = runAt;
+    await job.save();
+    if (job.type === "open") draw.startsAt = runAt;
+    else if (job.type === "claim") {
+      // The Claim button checks the claim's own deadline
+      const claim = draw.claims.find((c) => c.userId === job.userId && c.status === "pending");
+      if (claim) claim.deadline = runAt;
+    } else {
+      draw.endsAt = runAt;
+      draw.remindedAt = null; // remind again before the new end time
+    }
+    await draw.save();
+    ctx.reply(ctx.t("schedule_moved", { jobId, time: formatTime(runAt) }), { parse_mode: "HTML" });
+  });
+
+  // /audit [drawId]: admin actions, newest first
+  bot.command("audit", async (ctx) => {
+    const key = ctx.message.text.split(" ")[1] || "all";
+    ctx.audit.drawId = key === "all" ? undefined : key;
+    delete ctx.session.searches?.[`audit:${key}`];
+    await sendPage(ctx, "audit", key);
+  });
+
+  bot.command("offenders", async (ctx) => {
+    delete ctx.session.searches?.["offenders:all"];
+    await sendPage(ctx, "offenders", "all");
+  });
+
+  // /tempban <userId> <duration> [reason]: ignore a user for 30m, 2h, 1d...
+  bot.command("tempban", async (ctx) => {
+    const [userIdRaw, durationRaw, ...reason] = ctx.message.text.split(" ").slice(1);
+    const userId = Number(userIdRaw);
+    const minutes = durationRaw && parseDuration(durationRaw);
+    if (!Number.isInteger(userId) || userId <= 0 || !minutes) return rejectCommand(ctx, "tempban_usage");
+    if (adminRoles.has(userId)) return rejectCommand(ctx, "tempban_admin");
+
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+    const updated = await db.update(
+      User,
+      { userId },
+      { bannedUntil: until, banReason: reason.join(" ") || null }
+    );
+    if (!updated) return rejectCommand(ctx, "user_not_found", { id: userId });
+    tempBans.set(userId, { until, notified: false });
+    ctx.reply(ctx.t("tempban_done", { id: userId, time: formatTime(until) }), { parse_mode: "HTML" });
+  });
+
+  bot.command("unban", async (ctx) => {
+    const userId = Number(ctx.message.text.split(" ")[1]);
+    if (!Number.isInteger(userId) || userId <= 0) return rejectCommand(ctx, "unban_usage");
+    const updated = await db.update(
+      User,
+      { userId, bannedUntil: { $gt: new Date() } },
+      { bannedUntil: null, banReason: null }
+    );
+    tempBans.delete(userId);
+    if (!updated) return rejectCommand(ctx, "unban_not_banned", { id: userId });
+    ctx.reply(ctx.t("unban_done", { id: userId }), { parse_mode: "HTML" });
+  });
+
+  // /addadmin <userId> <viewer|operator|owner>: add an admin or change their role
+  bot.command("addadmin", async (ctx) => {
+    const [userIdRaw, role] = ctx.message.text.split(" ").slice(1);
+    const userId = Number(userIdRaw);
+    if (!Number.isInteger(userId) || userId <= 0 || !ADMIN_ROLES.includes(role)) {
+      return rejectCommand(ctx, "addadmin_usage");
+    }
+    if (ADMIN_IDS.includes(userId)) return rejectCommand(ctx, "admin_env_owner", { id: userId });
+    await loadAdmins(true);
+    const owners = [...adminRoles.values()].filter((r) => r === "owner").length;
+    if (adminRoles.get(userId) === "owner" && role !== "owner" && owners <= 1) {
+      return rejectCommand(ctx, "admin_last_owner");
+    }
+
+    const saved = await safeDbOperation(
+      () => Admin.updateOne({ userId }, { $set: { role, addedBy: ctx.from.id } }, { upsert: true }),
+      null,
+      "upsert on Admin"
+    );
+    if (!saved) return rejectCommand(ctx, "db_unavailable");
+    await loadAdmins(true);
+    ctx.reply(ctx.t("addadmin_done", { id: userId, role }), { parse_mode: "HTML" });
+  });
+
+  bot.command("removeadmin", async (ctx) => {
+    const userId = Number(ctx.message.text.split(" ")[1]);
+    if (!Number.isInteger(userId) || userId <= 0) return rejectCommand(ctx, "removeadmin_usage");
+    if (ADMIN_IDS.includes(userId)) return rejectCommand(ctx, "admin_env_owner", { id: userId });
+    await loadAdmins(true);
+    if (!adminRoles.has(userId)) return rejectCommand(ctx, "admin_not_found", { id: userId });
+    const owners = [...adminRoles.values()].filter((r) => r === "owner").length;
+    if (adminRoles.get(userId) === "owner" && owners <= 1) return rejectCommand(ctx, "admin_last_owner");
+
+    const removed = await safeDbOperation(() => Admin.deleteOne({ userId }), null, "deleteOne on Admin");
+    if (!removed) return rejectCommand(ctx, "db_unavailable");
+    await loadAdmins(true);
+    ctx.reply(ctx.t("removeadmin_done", { id: userId }), { parse_mode: "HTML" });
+  });
+
+  bot.command("admins", async (ctx) => {
+    await loadAdmins(true);
+    const admins = [...adminRoles].sort(
+      ([, a], [, b]) => ADMIN_ROLES.indexOf(b) - ADMIN_ROLES.indexOf(a)
+    );
+    const users = await findUsers(admins.map(([userId]) => userId));
+    const lines = admins.map(([userId, role]) =>
+      ctx.t(ADMIN_IDS.includes(userId) ? "admins_entry_env" : "admins_entry", {
+        user: userLabel(users.get(userId), userId),
+        role,
+      })
+    );
+    ctx.reply([ctx.t("admins_title", { count: admins.length }), ...lines].join("\n"), { parse_mode: "HTML" });
+  });
+
+  async function queueBroadcast(ctx, data) {
+    const total = await db.count(User, await broadcastRecipients(data));
+    const broadcast = await db.create(Broadcast, { ...data, createdBy: ctx.from.id, total });
+    if (!broadcast) return rejectCommand(ctx, "db_unavailable");
+    if (data.drawId && ctx.audit) ctx.audit.drawId = data.drawId;
+    runBroadcasts(ctx.api);
+    return ctx.reply(ctx.t("broadcast_queued", { id: broadcast._id, total }), { parse_mode: "HTML" });
+  }
+
+  // /broadcast <html text> | reply to a photo with /broadcast | /broadcast draw <drawId>
+  // /broadcast status | /broadcast pause|resume|cancel <broadcastId>
+  bot.command("broadcast", async (ctx) => {
+    // ctx.match keeps the line breaks of a multi-line announcement
+    const body = ctx.match.trim();
+    const [action, arg] = body.split(/\s+/);
+    const photo = ctx.message.reply_to_message?.photo;
+
+    if (action === "status") {
+      const recent = await safeDbOperation(
+        () => Broadcast.find({}).sort({ createdAt: -1 }).limit(5),
+        [],
+        "find on Broadcast"
+      );
+      if (recent.length === 0) return ctx.reply(ctx.t("broadcast_none"), { parse_mode: "HTML" });
+      const list = recent
+        .map((b) =>
+          ctx.t("broadcast_status_entry", {
+            id: b._id,
+            kind: b.kind,
+            status: b.status,
+            done: b.sent + b.failed + b.blocked,
+            total: b.total,
+            sent: b.sent,
+            failed: b.failed,
+            blocked: b.blocked,
+          })
+        )
+        .join("\n\n");
+      return ctx.reply(`${ctx.t("broadcast_status_title")}\n\n${list}`, { parse_mode: "HTML" });
+    }
+
+    if (["pause", "resume", "cancel"].includes(action)) {
+      if (!mongoose.isValidObjectId(arg)) return rejectCommand(ctx, "broadcast_usage");
+      const from = { pause: ["queued", "running"], resume: ["paused"], cancel: ["queued", "running", "paused"] };
+      const to = { pause: "paused", resume: "running", cancel: "cancelled" };
+      const updated = await db.update(
+        Broadcast,
+        { _id: arg, status: { $in: from[action] } },
+        { status: to[action] }
+      );
+      if (!updated) return rejectCommand(ctx, "broadcast_not_found");
+      if (action === "resume") runBroadcasts(ctx.api);
+      return ctx.reply(ctx.t("broadcast_updated", { id: arg, status: updated.status }), {
+        parse_mode: "HTML",
+      });
+    }
+
+    if (action === "draw") {
+      const draw = await db.findOne(Draw, { id: arg, active: true });
+      if (!draw) return rejectCommand(ctx, "draw_not_found_id", { id: arg ?? "-" });
+      return queueBroadcast(ctx, { kind: "draw", drawId: draw.id });
+    }
+
+    if (photo) {
+      const source = ctx.message.reply_to_message;
+      return queueBroadcast(ctx, {
+        kind: "photo",
+        photo: photo[photo.length - 1].file_id,
+        text: source.caption,
+        entities: source.caption_entities,
+      });
+    }
+
+    if (!body) return rejectCommand(ctx, "broadcast_usage");
+    // The admin gets the text first, which also rejects broken HTML before it is queued
+    try {
+      await ctx.reply(body, { parse_mode: "HTML" });
+    } catch {
+      return rejectCommand(ctx, "broadcast_invalid_html");
+    }
+    return queueBroadcast(ctx, { kind: "text", text: body });
+  });
+
+  // Button under /newdraw's reply: announce the new draw to every user
+  bot.callbackQuery(/^bcdraw:(.+)$/, async (ctx) => {
+    if (!hasRole(ctx, "operator")) return ctx.answerCallbackQuery({ text: ctx.t("admin_only"), show_alert: true });
+    const draw = await db.findOne(Draw, { id: ctx.match[1], active: true });
+    if (!draw) return ctx.answerCallbackQuery({ text: ctx.t("draw_not_open"), show_alert: true });
+    ctx.answerCallbackQuery().catch(() => {});
+    ctx.editMessageReplyMarkup({ reply_markup: undefined }).catch(() => {});
+    await recordAudit(ctx.api, {
+      actorId: ctx.from.id,
+      command: "broadcast.draw",
+      args: draw.id,
+      drawId: draw.id,
+      outcome: "ok",
+    });
+    await queueBroadcast(ctx, { kind: "draw", drawId: draw.id });
+  });
+
+  // /faq [list] | add <lang> <question> | <answer> | edit <id> <lang> <question> | <answer> | remove <id>
+  bot.command("faq", async (ctx) => {
+    // ctx.match keeps the line breaks of a multi-line answer
+    const [, action = "list", rest = ""] = ctx.match.trim().match(/^(\w*)\s*([\s\S]*)$/);
+
+    if (action === "list") {
+      const entries = await loadFaqs();
+      if (entries.length === 0) return ctx.reply(ctx.t("faq_empty"), { parse_mode: "HTML" });
+      const list = entries
+        .map((entry) =>
+          [
+            `<b>#${entry.id}</b>`,
+            ...entry.translations.map((tr) => `[${tr.lang}] ${escapeHtml(tr.question)}`),
+          ].join("\n")
+        )
+        .join("\n\n");
+      return ctx.reply(`${ctx.t("faq_title")}\n\n${list}`, { parse_mode: "HTML" });
+    }
+
+    if (action === "remove") {
+      const id = Number(rest);
+      const removed = await safeDbOperation(() => Faq.findOneAndDelete({ id }), null, "delete on Faq");
+      if (!removed) return rejectCommand(ctx, "faq_not_found", { id: rest });
+      faqCache = null;
+      return ctx.reply(ctx.t("faq_removed", { id }), { parse_mode: "HTML" });
+    }
+
+    const [, idRaw, lang, question, answer] =
+      rest.match(/^(?:(\d+)\s+)?(\w+)\s+([^|]+?)\s*\|\s*([\s\S]+)$/) || [];
+    // add takes no ID, edit needs one
+    if (!["add", "edit"].includes(action) || (action === "edit") !== Boolean(idRaw) || !SUPPORTED_LANGS.includes(lang))
+      return rejectCommand(ctx, "faq_usage", { langs: SUPPORTED_LANGS.join("|") });
+    const translation = { lang, question, answer: answer.trim() };
+
+    if (action === "add") {
+      const last = await safeDbOperation(() => Faq.findOne({}).sort({ id: -1 }), null, "findOne on Faq");
+      const entry = await db.create(Faq, {
+        id: (last?.id || 0) + 1,
+        translations: [translation],
+        createdBy: ctx.from.id,
+        updatedBy: ctx.from.id,
+      });
+      if (!entry) return rejectCommand(ctx, "db_unavailable");
+      faqCache = null;
+      return ctx.reply(ctx.t("faq_added", { id: entry.id }), { parse_mode: "HTML" });
+    }
+
+    const entry = await db.findOne(Faq, { id: Number(idRaw) });
+    if (!entry) return rejectCommand(ctx, "faq_not_found", { id: idRaw });
+    entry.translations = [...entry.translations.filter((tr) => tr.lang !== lang), translation];
+    entry.updatedBy = ctx.from.id;
+    await entry.save();
+    faqCache = null;
+    ctx.reply(ctx.t("faq_updated", { id: entry.id, lang }), { parse_mode: "HTML" });
+  });
+
+
+// Admin command helpers removed (already defined above)
+
+bot.command("stats", async (ctx) => {
+  const totalDraws = await db.count(Draw, {});
+  const totalParticipants = await db.count(Participant, {});
+  ctx.reply(ctx.t("stats", { draws: totalDraws, participants: totalParticipants }), {
+    parse_mode: "HTML",
+  });
+});
+
+// View participants for active draw
+bot.command("participants", async (ctx) => {
+  
+  const drawId = ctx.message.text.split(" ")[1];
+  const active = await resolveDraw(ctx, drawId, drawId ? {} : { active: true }, "no_active_admin");
+  if (!active) return;
+
+  const count = await db.count(Participant, { drawId: active.id });
   
-  ctx.reply(`📊 <b>${active.title}</b>\n👥 Participants: <b>${count}</b>`, { parse_mode: "HTML" });
+  if (count === 0) {
+    return ctx.reply(ctx.t("participants_none", { title: escapeHtml(active.title) }), { parse_mode: "HTML" });
+  }
+
+  delete ctx.session.searches?.[`participants:${active.id}`];
+  await sendPage(ctx, "participants", active.id);
 });
 
-  bot.command("stats", async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
-    const totalDraws = await db.count(Draw, {});
-    const totalParticipants = await db.count(Participant, {});
-    ctx.reply(`📊 Draws: ${totalDraws}\n👥 Participants: ${totalParticipants}`, { parse_mode: "HTML" });
-  });
+// Quick participant count
+bot.command("count", async (ctx) => {
+  
+  const drawId = ctx.message.text.split(" ")[1];
+  const active = await resolveDraw(ctx, drawId, drawId ? {} : { active: true }, "no_active_admin");
+  if (!active) return;
+
+  const count = await db.count(Participant, { drawId: active.id });
+  
+  ctx.reply(ctx.t("count_summary", { title: escapeHtml(active.title), count }), { parse_mode: "HTML" });
+});
 
   // Database status command (for debugging)
   bot.command("dbstatus", async (ctx) => {
-    if (ctx.from.id !== ADMIN_ID) return ctx.reply(LANG.en.admin_only, { parse_mode: "HTML" });
     
     const status = {
       connectionState: mongoose.connection.readyState,
@@ -560,26 +4254,29 @@ bot.command("count", async (ctx) => {
       name: mongoose.connection.name
     };
     
-    let statusMessage = `🛠️ <b>Database Status</b>\n\n`;
-    statusMessage += `🔗 Connection State: ${status.connectionState === 1 ? '✅ Connected' : '❌ Disconnected'}\n`;
-    statusMessage += `📊 DB Connected Flag: ${status.isDbConnected ? '✅ Yes' : '❌ No'}\n`;
-    statusMessage += `🏠 Host: ${status.host || 'N/A'}\n`;
-    statusMessage += `📁 Database: ${status.name || 'N/A'}\n`;
-    
     // Test a simple query
+    let test;
     try {
       const testDraw = await db.findOne(Draw, {});
-      statusMessage += `🧪 Test Query: ${testDraw ? '✅ Success' : '✅ Success (no data)'}\n`;
+      test = ctx.t(testDraw ? "dbstatus_test_ok" : "dbstatus_test_empty");
     } catch (error) {
-      statusMessage += `🧪 Test Query: ❌ Failed (${error.message})\n`;
+      test = ctx.t("dbstatus_test_failed", { error: error.message });
     }
     
+    const statusMessage = ctx.t("dbstatus_report", {
+      connection: ctx.t(status.connectionState === 1 ? "dbstatus_connected" : "dbstatus_disconnected"),
+      flag: ctx.t(status.isDbConnected ? "dbstatus_yes" : "dbstatus_no"),
+      host: status.host || "N/A",
+      name: status.name || "N/A",
+      test,
+    });
+    
     ctx.reply(statusMessage, { parse_mode: "HTML" });
   });
 
   // ===== AI CHAT =====
  
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const assistant = AI_PROVIDERS[AI_PROVIDER]();
 
 bot.on("message:text", async (ctx) => {
   const text = ctx.message.text.trim();
@@ -617,6 +4314,7 @@ bot.on("message:text", async (ctx) => {
     }
   }
 
+  if (!(await checkRateLimit(ctx, "ai"))) return;
   await ctx.api.sendChatAction(ctx.chat.id, "typing");
 
   try {
@@ -625,58 +4323,25 @@ bot.on("message:text", async (ctx) => {
     
     // If prompt is empty after removing mention, use a default message
     if (!prompt) {
-      return ctx.reply("🤖 Hello! I'm Competitii Lottery Bot! How can I help you today?", { 
+      return ctx.reply(ctx.t("ai_hello"), { 
         parse_mode: "HTML",
         reply_to_message_id: ctx.message.message_id 
       });
     }
 
-    // System message to define the bot's identity
-    const systemMessage = {
-      role: "system",
-      content: `You are Competitii Lottery Bot, a specialized Telegram bot for managing giveaways and lottery competitions.
-
-ABOUT YOU:
-- Name: Competitii Lottery Bot
-- Purpose: Manage lottery draws and giveaways
-- Features: Join draws, check winners, referral system, leaderboard
-- Personality: Friendly, helpful, enthusiastic about giveaways
-
-KEY POINTS:
-- You help users participate in random draws and win prizes
-- You have commands like /join, /winners, /referrals, /leaderboard
-- You're fair, transparent, and fun
-- When asked about yourself, emphasize your role in managing competitions
-
-Always identify as Competitii Lottery Bot and focus on lottery/giveaway topics. Be concise and helpful.`
-    };
-
-    const userMessage = {
-      role: "user", 
-      content: prompt
-    };
-
-    console.log("Sending to OpenAI:", { prompt });
+    const { reply, joinOffers } = await askAssistant(assistant, ctx, prompt);
+    console.log("AI Response:", (reply || "").substring(0, 100) + "...");
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [systemMessage, userMessage],
-      max_tokens: 500,
-    });
-    
-    const reply = response.choices[0]?.message?.content?.trim() || "Sorry, I couldn't generate a response.";
-    
-    console.log("OpenAI Response:", reply.substring(0, 100) + "...");
-    
-    // Send the reply
-    await ctx.reply(reply, { 
+    // Joining needs the user's own tap on the button
+    await ctx.reply(reply || ctx.t("ai_no_response"), {
       parse_mode: "HTML",
-      reply_to_message_id: ctx.message.message_id 
+      reply_to_message_id: ctx.message.message_id,
+      reply_markup: joinOffers.length ? drawPickerKeyboard(joinOffers) : undefined,
     });
     
   } catch (e) {
     console.error("AI Error:", e);
-    await ctx.reply("⚠️ Sorry, I encountered an error while processing your request. Please try again later.", { 
+    await ctx.reply(ctx.t("ai_error"), { 
       parse_mode: "HTML",
       reply_to_message_id: ctx.message.message_id 
     });
@@ -694,12 +4359,31 @@ async function startBot() {
   try {
     if (botInstance) {
       console.log("🛑 Stopping previous bot instance...");
+      webhookHandler = null;
       await botInstance.stop();
       botInstance = null; // important: clear the reference
     }
 
     console.log("🚀 Starting Competitii Bot...");
     botInstance = await initBot();
+    await seedOwners();
+    await loadAdmins(true);
+    await loadTempBans(true);
+    startScheduler(botInstance.api);
+    startBroadcasts(botInstance.api);
+    startOutbox(botInstance.api);
+
+    if (WEBHOOK_URL) {
+      await botInstance.init();
+      await botInstance.api.setWebhook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET });
+      // Answer Telegram right away on slow updates (AI replies) instead of failing them
+      webhookHandler = webhookCallback(botInstance, "http", {
+        secretToken: WEBHOOK_SECRET,
+        onTimeout: "return",
+      });
+      console.log(`✅ Competitii Bot (@${botInstance.botInfo.username}) receiving updates at ${WEBHOOK_URL}`);
+      return;
+    }
 
     // Start polling **once**
     await botInstance.start({
@@ -714,12 +4398,60 @@ async function startBot() {
   }
 }
 
+// ======================================================
+// 🌐 HTTP SERVER (webhook + health checks)
+// ======================================================
+let webhookHandler = null; // set by startBot in webhook mode
+const WEBHOOK_PATH = WEBHOOK_URL ? new URL(WEBHOOK_URL).pathname : null;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Ready once the bot is up and MongoDB answers a ping; a probe never
+// triggers a reconnect itself (the 'disconnected' handler does that)
+async function isReady() {
+  return Boolean(botInstance) && isDbConnected && (await checkDbHealth());
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && pathname === "/healthz") return sendJson(res, 200, { status: "ok" });
+
+  if (req.method === "GET" && pathname === "/readyz") {
+    const ready = await isReady();
+    return sendJson(res, ready ? 200 : 503, {
+      status: ready ? "ready" : "not_ready",
+      bot: Boolean(botInstance),
+      db: isDbConnected,
+    });
+  }
+
+  if (req.method === "POST" && pathname === WEBHOOK_PATH) {
+    if (!webhookHandler) return sendJson(res, 503, { error: "starting" });
+    return webhookHandler(req, res).catch((err) => {
+      console.error("❌ Webhook error:", err);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal" });
+    });
+  }
+
+  sendJson(res, 404, { error: "not_found" });
+});
+
 // graceful shutdown
 process.once("SIGINT", async () => {
+  stopScheduler();
+  stopBroadcasts();
+  server.close();
   if (botInstance) await botInstance.stop();
   process.exit(0);
 });
 process.once("SIGTERM", async () => {
+  stopScheduler();
+  stopBroadcasts();
+  server.close();
   if (botInstance) await botInstance.stop();
   process.exit(0);
 });
@@ -735,4 +4467,5 @@ process.on("unhandledRejection", (reason) => {
 });
 
 // Start the bot for the first time
+server.listen(PORT, () => console.log(`🌐 HTTP server listening on port ${PORT}`));
 startBot();
\ No newline at end of file
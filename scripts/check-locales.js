@@ -0,0 +1,63 @@
+/**
+ * Locale consistency check
+ * - Every locale must define the same keys as the default (en) locale
+ * - Every translation must use the same {{placeholders}} as the default
+ * Exits with code 1 when a locale is inconsistent.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "locales");
+const DEFAULT_LANG = "en";
+
+function placeholders(template) {
+  return [...template.matchAll(/\{\{(\w+)\}\}/g)].map((m) => m[1]).sort();
+}
+
+const locales = Object.fromEntries(
+  fs
+    .readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => [
+      path.basename(file, ".json"),
+      JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8")),
+    ])
+);
+
+const base = locales[DEFAULT_LANG];
+if (!base) {
+  console.error(`❌ Default locale ${DEFAULT_LANG}.json not found in ${LOCALES_DIR}`);
+  process.exit(1);
+}
+
+const problems = [];
+
+for (const [lang, messages] of Object.entries(locales)) {
+  if (lang === DEFAULT_LANG) continue;
+
+  for (const [key, template] of Object.entries(base)) {
+    if (!(key in messages)) {
+      problems.push(`${lang}: missing key "${key}"`);
+      continue;
+    }
+    const expected = [...new Set(placeholders(template))].join(", ");
+    const actual = [...new Set(placeholders(messages[key]))].join(", ");
+    if (expected !== actual) {
+      problems.push(`${lang}: "${key}" has placeholders [${actual}], expected [${expected}]`);
+    }
+  }
+
+  for (const key of Object.keys(messages)) {
+    if (!(key in base)) problems.push(`${lang}: unknown key "${key}"`);
+  }
+}
+
+if (problems.length > 0) {
+  console.error(`❌ ${problems.length} locale problem(s):`);
+  for (const problem of problems) console.error(`  - ${problem}`);
+  process.exit(1);
+}
+
+console.log(`✅ Locales consistent: ${Object.keys(locales).join(", ")}`);